@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/*
+ * Prerender github-buttons into static markup
+ *
+ * Every `a.github-button` in an HTML file is rendered with the widget code from
+ * button.js (same markup, octicons and CSS) and replaced by a declarative shadow
+ * root, with counts fetched once at build time. Mirrored pages then show the
+ * buttons offline. Browsers without declarative shadow DOM show a plain link.
+ *
+ * Usage: node button-prerender.js <input.html> [output.html]
+ */
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { JSDOM } = require("jsdom");
+
+const buttonSource = fs.readFileSync(path.join(__dirname, "button.js"), "utf8");
+
+function renderButton(window, anchor, token) {
+  return new Promise(resolve => {
+    const document = window.document;
+    const root = document.createElement("div");
+    window.GitHubButtons.renderWidget(root, anchor, () => {
+      const host = document.createElement("span");
+      host.className = "github-button-static";
+      const template = document.createElement("template");
+      template.setAttribute("shadowrootmode", "open");
+      while (root.firstChild) {
+        template.content.appendChild(root.firstChild);
+      }
+      host.appendChild(template);
+
+      // Light DOM fallback, hidden once the shadow root is attached
+      const fallback = anchor.cloneNode(true);
+      fallback.classList.remove("github-button");
+      if (!fallback.className) fallback.removeAttribute("class");
+      host.appendChild(fallback);
+      anchor.parentNode.replaceChild(host, anchor);
+      resolve();
+    }, token);
+  });
+}
+
+// Returns the HTML with every `a.github-button` replaced by its static rendering
+// `options.url` resolves relative links, `options.providers` is passed to button.js
+// `options.token` only goes to the count requests, it is never written into the page
+async function prerender(html, options) {
+  options = options || {};
+  const dom = new JSDOM(html, {
+    url: options.url || "http://localhost/",
+    runScripts: "outside-only"
+  });
+  const window = dom.window;
+  try {
+    window.GitHubButtons = {
+      autoRender: false,
+      cacheStorage: false,
+      providers: options.providers
+    };
+    window.eval(buttonSource);
+    const anchors = Array.from(window.document.querySelectorAll("a.github-button"));
+    await Promise.all(anchors.map(anchor => renderButton(window, anchor, options.token)));
+    return dom.serialize();
+  } finally {
+    window.close();
+  }
+}
+
+// Prerender a file in place, or into `output`
+async function prerenderFile(input, output, options) {
+  const html = await fs.promises.readFile(input, "utf8");
+  const result = await prerender(html, {
+    url: pathToFileURL(path.resolve(input)).href,
+    ...options
+  });
+  await fs.promises.writeFile(output || input, result);
+}
+
+if (require.main === module) {
+  const [input, output] = process.argv.slice(2);
+  if (!input) {
+    console.error("Usage: node button-prerender.js <input.html> [output.html]");
+    process.exit(1);
+  }
+  // A GitHub token enables discussions counts (GraphQL)
+  prerenderFile(input, output, {
+    token: process.env.GITHUB_TOKEN
+  }).catch(e => {
+    console.error(e);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  prerender,
+  prerenderFile
+};
@@ -28,6 +28,8 @@
   
     var useShadowDOM = useXHR && HTMLElement && 'attachShadow' in HTMLElement.prototype && !('prototype' in HTMLElement.prototype.attachShadow);
   
+    var config = window.GitHubButtons || {};
+  
     var stringify = function (obj, sep, eq, encodeURIComponent) {
       if (sep == null) {
         sep = '&';
@@ -215,18 +217,84 @@
       return '<svg viewBox="0 0 ' + svg.width + ' ' + defaultHeight + '" width="' + (height * svg.width / defaultHeight) + '" height="' + height + '" class="octicon octicon-' + icon + '" aria-hidden="true">' + svg.path + '</svg>'
     };
   
+    var cachePrefix = 'github-buttons:';
+  
+    var getStorage = function () {
+      var name = config.cacheStorage == null ? 'localStorage' : config.cacheStorage;
+      try {
+        return name ? window[name] : null
+      } catch (_) /* istanbul ignore next: storage disabled */ {
+        return null
+      }
+    };
+  
+    var getItem = function (key) {
+      var storage = getStorage();
+      try {
+        return storage ? JSON.parse(storage.getItem(cachePrefix + key)) : null
+      } catch (_) {
+        return null
+      }
+    };
+  
+    var setItem = function (key, value) {
+      var storage = getStorage();
+      try {
+        if (storage) {
+          storage.setItem(cachePrefix + key, JSON.stringify(value));
+        }
+      } catch (_) {}
+    };
+  
+    var getOrigin = function (url) {
+      return url.replace(/^([a-z]+:\/\/[^/?#]+).*$/i, '$1')
+    };
+  
+    var isRateLimited = function (url) {
+      var reset = getItem('rate-limit:' + getOrigin(url));
+      return reset != null && reset > new Date().getTime()
+    };
+  
+    var setRateLimit = function (url, remaining, reset) {
+      if (remaining != null && +remaining === 0 && reset) {
+        setItem('rate-limit:' + getOrigin(url), reset * 1000);
+      }
+    };
+  
     var queues = {};
   
-    var fetch = function (url, func) {
-      var queue = queues[url] || (queues[url] = []);
+    var fetch = function (url, func, request) {
+      request = request || {};
+      var key = request.body ? url + ' ' + request.body : url;
+      var cached = getItem(key);
+      var rateLimited = isRateLimited(url);
+      if (cached && (rateLimited || (!request.refresh && cached.expires > new Date().getTime()))) {
+        func(false, cached.data);
+        return
+      }
+      if (rateLimited) {
+        func(true);
+        return
+      }
+  
+      var queue = queues[key] || (queues[key] = []);
       if (queue.push(func) > 1) {
         return
       }
   
-      var callback = dispatchOnce(function () {
-        delete queues[url];
+      var callback = dispatchOnce(function (error, data) {
+        delete queues[key];
+        if (!error) {
+          setItem(key, {
+            data: data,
+            expires: new Date().getTime() + (config.cacheTTL == null ? 600000 : config.cacheTTL)
+          });
+        } else if (cached) {
+          error = false;
+          data = cached.data;
+        }
         while ((func = queue.shift())) {
-          func.apply(null, arguments);
+          func(error, data);
         }
       });
   
@@ -235,6 +303,7 @@
         onEvent(xhr, 'abort', callback);
         onEvent(xhr, 'error', callback);
         onEvent(xhr, 'load', function () {
+          setRateLimit(url, this.getResponseHeader('X-RateLimit-Remaining'), this.getResponseHeader('X-RateLimit-Reset'));
           var data;
           try {
             data = JSON.parse(this.responseText);
@@ -242,15 +311,32 @@
             callback(error);
             return
           }
+          if (this.status === 200 && request.transform) {
+            data = request.transform(data, function (name) {
+              return xhr.getResponseHeader(name)
+            });
+          }
           callback(this.status !== 200, data);
         });
-        xhr.open('GET', url);
-        xhr.send();
+        xhr.open(request.body ? 'POST' : 'GET', url);
+        for (var name in request.headers) {
+          xhr.setRequestHeader(name, request.headers[name]);
+        }
+        xhr.send(request.body);
+      } else if (request.body) {
+        callback(true);
       } else {
         var contentWindow = this || window;
         contentWindow._ = function (json) {
           contentWindow._ = null;
-          callback(json.meta.status !== 200, json.data);
+          setRateLimit(url, json.meta['X-RateLimit-Remaining'], json.meta['X-RateLimit-Reset']);
+          var data = json.data;
+          if (json.meta.status === 200 && request.transform) {
+            data = request.transform(data, function (name) {
+              return json.meta[name]
+            });
+          }
+          callback(json.meta.status !== 200, data);
         };
         var script = createElementInDocument(contentWindow.document)('script', {
           async: true,
@@ -273,7 +359,167 @@
       }
     };
   
-    var render = function (root, options, func) {
+    var isHostname = function (hostname, domain) {
+      return hostname.length >= domain.length && ('.' + hostname).substring(hostname.length - domain.length) === ('.' + domain)
+    };
+  
+    var getProperty = function (obj, path) {
+      var keys = path.split('.');
+      for (var i = 0, len = keys.length; i < len && obj != null; i++) {
+        obj = obj[keys[i]];
+      }
+      return obj
+    };
+  
+    var countHeader = function (name) {
+      return function (data, getHeader) {
+        return {
+          count: +getHeader(name) || data.length || 0
+        }
+      }
+    };
+  
+    var countLastPage = function (data, getHeader) {
+      var match = /[?&]page=(\d+)[^>]*>;\s*rel="last"/.exec(getHeader('Link') || '');
+      return {
+        count: match ? +match[1] : data.length || 0
+      }
+    };
+  
+    var repoPath = function (prefix, suffix) {
+      return function (owner, repo) {
+        return repo ? prefix + owner + '/' + repo + (suffix || '') : null
+      }
+    };
+  
+    var projectPath = function (suffix) {
+      return function (owner, repo) {
+        return repo ? '/projects/' + window.encodeURIComponent(owner + '/' + repo) + (suffix || '') : null
+      }
+    };
+  
+    var providerTypes = {
+      github: function (hostname, baseURL) {
+        var graphqlURL = baseURL ? baseURL + '/graphql' : hostname === domain ? apiBaseURL + '/graphql' : 'https://' + hostname + '/api/graphql';
+        return {
+          name: 'GitHub',
+          icon: 'mark-github',
+          apiBaseURL: baseURL || (hostname === domain ? apiBaseURL : 'https://' + hostname + '/api/v3'),
+          api: function (owner, repo) {
+            return repo ? '/repos/' + owner + '/' + repo : '/users/' + owner
+          },
+          sponsors: true,
+          counts: {
+            followers: { property: 'followers', href: '?tab=followers' },
+            stargazers: { property: 'stargazers_count', href: '/stargazers' },
+            subscribers: { property: 'subscribers_count', href: '/watchers' },
+            forks: { property: 'forks_count', href: '/network/members' },
+            open_issues: { property: 'open_issues_count', href: '/issues' },
+            pull_requests: {
+              property: 'total_count',
+              href: '/pulls',
+              api: function (owner, repo) {
+                return repo ? '/search/issues?q=' + window.encodeURIComponent('repo:' + owner + '/' + repo + ' is:pr is:open') + '&per_page=1' : null
+              }
+            },
+            // Discussions are only exposed through GraphQL, which requires a token (only passed when prerendering)
+            discussions: {
+              property: 'data.repository.discussions.totalCount',
+              href: '/discussions',
+              api: function (owner, repo, token) {
+                return repo && token ? graphqlURL : null
+              },
+              request: function (owner, repo, token) {
+                return {
+                  body: JSON.stringify({
+                    query: 'query($owner:String!,$name:String!){repository(owner:$owner,name:$name){discussions{totalCount}}}',
+                    variables: { owner: owner, name: repo }
+                  }),
+                  headers: { Authorization: 'bearer ' + token }
+                }
+              }
+            },
+            contributors: {
+              property: 'count',
+              href: '/graphs/contributors',
+              api: repoPath('/repos/', '/contributors?per_page=1&anon=true'),
+              transform: countLastPage
+            },
+            latest_release: { property: 'tag_name', href: '', api: repoPath('/repos/', '/releases/latest') }
+          }
+        }
+      },
+      gitlab: function (hostname, baseURL) {
+        return {
+          name: 'GitLab',
+          apiBaseURL: baseURL || 'https://' + hostname + '/api/v4',
+          api: projectPath(),
+          counts: {
+            stargazers: { property: 'star_count', href: '/-/starrers' },
+            forks: { property: 'forks_count', href: '/-/forks' },
+            open_issues: { property: 'open_issues_count', href: '/-/issues' },
+            pull_requests: {
+              property: 'count',
+              href: '/-/merge_requests',
+              api: projectPath('/merge_requests?state=opened&per_page=1'),
+              transform: countHeader('X-Total')
+            },
+            contributors: {
+              property: 'count',
+              href: '/-/graphs/HEAD',
+              api: projectPath('/repository/contributors?per_page=1'),
+              transform: countHeader('X-Total')
+            },
+            latest_release: { property: 'tag_name', href: '/-/releases/permalink/latest', api: projectPath('/releases/permalink/latest') }
+          }
+        }
+      },
+      gitea: function (hostname, baseURL) {
+        return {
+          name: 'Gitea',
+          apiBaseURL: baseURL || 'https://' + hostname + '/api/v1',
+          api: function (owner, repo) {
+            return repo ? '/repos/' + owner + '/' + repo : '/users/' + owner
+          },
+          counts: {
+            followers: { property: 'followers_count', href: '?tab=followers' },
+            stargazers: { property: 'stars_count', href: '/stars' },
+            subscribers: { property: 'watchers_count', href: '/watchers' },
+            forks: { property: 'forks_count', href: '/forks' },
+            open_issues: { property: 'open_issues_count', href: '/issues' },
+            pull_requests: { property: 'open_pr_counter', href: '/pulls' },
+            latest_release: { property: 'tag_name', href: '', api: repoPath('/repos/', '/releases/latest') }
+          }
+        }
+      }
+    };
+  
+    var providers = {};
+  
+    var registerProvider = function (hostname, type, baseURL) {
+      hostname = toLowerCase(hostname);
+      if (!hasOwnProperty(providerTypes, type)) {
+        throw new Error('Unknown provider type: ' + type)
+      }
+      providers[hostname] = providerTypes[type](hostname, baseURL);
+    };
+  
+    registerProvider(domain, 'github');
+    registerProvider('gitlab.com', 'gitlab');
+    registerProvider('gitea.com', 'gitea');
+    registerProvider('codeberg.org', 'gitea');
+  
+    var getProvider = function (hostname) {
+      var match;
+      for (var name in providers) {
+        if (isHostname(hostname, name) && (match == null || name.length > match.length)) {
+          match = name;
+        }
+      }
+      return match != null ? providers[match] : undefined
+    };
+  
+    var render = function (root, options, func, token) {
       var createElement = createElementInDocument(root.ownerDocument);
   
       var style = root.appendChild(createElement('style', {
@@ -297,10 +543,8 @@
         rel: 'noopener',
         target: '_blank',
         title: options.title || undefined,
-        'aria-label': options['aria-label'] || undefined,
-        innerHTML: octicon(options['data-icon'], isLarge ? 16 : 14)
+        'aria-label': options['aria-label'] || undefined
       }, [
-        ' ',
         createElement('span', {}, [options['data-text'] || ''])
       ]);
   
@@ -310,62 +554,98 @@
         btn
       ]));
   
-      var hostname = btn.hostname.replace(/\.$/, '');
-      if (hostname.length < domain.length || ('.' + hostname).substring(hostname.length - domain.length) !== ('.' + domain)) {
+      var hostname = toLowerCase(btn.hostname.replace(/\.$/, ''));
+      var provider = getProvider(hostname);
+  
+      // Only GitHub buttons default to its mark, other forges show no icon unless one is asked for
+      var icon = options['data-icon'] || (provider ? provider.icon : 'mark-github');
+      if (icon) {
+        btn.insertBefore(root.ownerDocument.createTextNode(' '), btn.firstChild);
+        btn.insertBefore(createElement('span', {
+          innerHTML: octicon(icon, isLarge ? 16 : 14)
+        }).firstChild, btn.firstChild);
+      }
+  
+      if (!provider) {
         btn.removeAttribute('href');
         func(widget);
         return
       }
   
       var path = (' /' + btn.pathname).split(/\/+/);
+      if (path[3] === '-') {
+        path.splice(3, 1);
+      }
       if (((hostname === domain || hostname === 'gist.' + domain) && path[3] === 'archive') ||
         (hostname === domain && path[3] === 'releases' && (path[4] === 'download' || (path[4] === 'latest' && path[5] === 'download'))) ||
         (hostname === 'codeload.' + domain)) {
         btn.target = '_top';
       }
   
-      if (toLowerCase(options['data-show-count']) !== 'true' || hostname !== domain) {
+      if (provider.sponsors && path[1] === 'sponsors' && path[2] && !path[3]) {
+        if (options['data-icon'] == null) {
+          btn.replaceChild(createElement('span', {
+            innerHTML: octicon('heart', isLarge ? 16 : 14)
+          }).firstChild, btn.firstChild);
+        }
         func(widget);
         return
       }
   
-      var href, property;
+      if (toLowerCase(options['data-show-count']) !== 'true' || !hasOwnProperty(providers, hostname)) {
+        func(widget);
+        return
+      }
+  
+      var count;
       if (!path[2] && path[1]) {
-        property = 'followers';
-        href = '?tab=followers';
+        count = 'followers';
       } else if (!path[3] && path[2]) {
-        property = 'stargazers_count';
-        href = '/stargazers';
-      } else if (!path[4] && path[3] === 'subscription') {
-        property = 'subscribers_count';
-        href = '/watchers';
-      } else if (!path[4] && path[3] === 'fork') {
-        property = 'forks_count';
-        href = '/network/members';
+        count = 'stargazers';
+      } else if (!path[4] && (path[3] === 'subscription' || path[3] === 'watchers')) {
+        count = 'subscribers';
+      } else if (!path[4] && (path[3] === 'fork' || path[3] === 'forks')) {
+        count = 'forks';
       } else if (path[3] === 'issues') {
-        property = 'open_issues_count';
-        href = '/issues';
-      } else {
+        count = 'open_issues';
+      } else if (!path[4] && (path[3] === 'pulls' || path[3] === 'merge_requests')) {
+        count = 'pull_requests';
+      } else if (!path[4] && path[3] === 'discussions') {
+        count = 'discussions';
+      } else if ((!path[4] && path[3] === 'contributors') || (!path[5] && path[3] === 'graphs' && path[4] === 'contributors')) {
+        count = 'contributors';
+      } else if (!path[5] && path[3] === 'releases' && path[4] === 'latest') {
+        count = 'latest_release';
+      }
+  
+      var spec = count && hasOwnProperty(provider.counts, count) ? provider.counts[count] : null;
+      var api = spec && (spec.api || provider.api)(path[1], path[2], token);
+      if (!api) {
         func(widget);
         return
       }
   
-      var api = path[2] ? '/repos/' + path[1] + '/' + path[2] : '/users/' + path[1];
-      fetch.call(this, apiBaseURL + api, function (error, json) {
-        if (!error) {
-          var data = json[property];
+      var request = spec.request ? spec.request(path[1], path[2], token) : {};
+      request.transform = spec.transform;
+      request.refresh = options.refresh;
+      fetch.call(this, /^https?:/.test(api) ? api : provider.apiBaseURL + api, function (error, json) {
+        var data = error ? null : getProperty(json, spec.property);
+        if (data != null) {
+          var isRelease = count === 'latest_release';
           widget.appendChild(createElement('a', {
             className: 'social-count',
-            href: json.html_url + href,
+            href: (json.html_url || json.web_url || 'https://' + hostname + '/' + path[1] + (path[2] ? '/' + path[2] : '')) + spec.href,
             rel: 'noopener',
             target: '_blank',
-            'aria-label': data + ' ' + property.replace(/_count$/, '').replace('_', ' ').slice(0, data < 2 ? -1 : undefined) + ' on GitHub'
+            'aria-label': isRelease
+              ? 'Latest release ' + data + ' on ' + provider.name
+              : data + ' ' + count.replace('_', ' ').slice(0, data < 2 ? -1 : undefined) + ' on ' + provider.name
           }, [
-            ('' + data).replace(/\B(?=(\d{3})+(?!\d))/g, ',')
+            isRelease ? '' + data : ('' + data).replace(/\B(?=(\d{3})+(?!\d))/g, ',')
           ]));
         }
         func(widget);
-      });
+      }, request);
     };
   
     var parseOptions = function (anchor) {
@@ -454,29 +734,159 @@
       }
     };
   
+    if (config.providers) {
+      for (var hostname in config.providers) {
+        var provider = config.providers[hostname];
+        if (typeof provider === 'string') {
+          registerProvider(hostname, provider);
+        } else {
+          registerProvider(hostname, provider.type, provider.apiBaseURL);
+        }
+      }
+    }
+    config.registerProvider = registerProvider;
+    // `token` authenticates count requests that need one. Only the prerenderer passes it, so it never ships in a page.
+    config.renderWidget = function (root, options, func, token) {
+      if (options.getAttribute) {
+        options = parseOptions(options);
+      }
+      render(root, options, func || function () {}, token);
+    };
+  
+    var isOptionAttribute = function (name) {
+      return name === 'href' || name === 'title' || name === 'aria-label' || /^data-/.test(name)
+    };
+  
+    // Render a button into `element` from an options object or a source anchor.
+    // Without options, `element` is the source anchor: it is hidden and the button is inserted after it.
+    // Attribute changes on a source anchor re-render the button.
+    var mount = function (element, options) {
+      var source = options == null ? element : options;
+      var container = element;
+      var display;
+      if (options == null) {
+        container = createElement('span');
+        element.parentNode.insertBefore(container, element.nextSibling);
+        display = element.style.display;
+        element.style.display = 'none';
+        element.githubButtonMounted = true;
+      }
+  
+      var current = null;
+      var token = 0;
+      var update = function (refresh) {
+        var id = ++token;
+        var opts;
+        if (source.getAttribute) {
+          opts = parseOptions(source);
+        } else {
+          opts = {};
+          for (var key in source) {
+            opts[key] = source[key];
+          }
+        }
+        if (refresh) {
+          opts.refresh = true;
+        }
+        render$1(opts, function (el) {
+          if (id !== token) {
+            return
+          }
+          if (current && current.parentNode === container) {
+            container.replaceChild(el, current);
+          } else {
+            container.appendChild(el);
+          }
+          current = el;
+        });
+      };
+  
+      var observer = source.getAttribute && window.MutationObserver
+        ? new window.MutationObserver(function (records) {
+          for (var i = 0, len = records.length; i < len; i++) {
+            if (records[i].type !== 'attributes' || isOptionAttribute(records[i].attributeName)) {
+              update();
+              return
+            }
+          }
+        })
+        : null;
+      if (observer) {
+        observer.observe(source, {
+          attributes: true,
+          childList: true,
+          characterData: true,
+          subtree: true
+        });
+      }
+  
+      update();
+  
+      return {
+        element: container,
+        update: function (newOptions) {
+          if (newOptions != null) {
+            source = newOptions;
+          }
+          update();
+        },
+        refresh: function () {
+          update(true);
+        },
+        destroy: function () {
+          token++;
+          if (observer) {
+            observer.disconnect();
+          }
+          if (current && current.parentNode) {
+            current.parentNode.removeChild(current);
+          }
+          current = null;
+          if (options == null) {
+            container.parentNode.removeChild(container);
+            element.style.display = display;
+            element.githubButtonMounted = false;
+          }
+        }
+      }
+    };
+  
+    // Replace every `a.github-button` under `root` with its button, as on page load
+    var renderAll = function (root) {
+      root = root || document;
+      var ref = root.querySelectorAll
+        ? root.querySelectorAll('a.' + buttonClass)
+        : (function () {
+          var results = [];
+          var ref = root.getElementsByTagName('a');
+          for (var i = 0, len = ref.length; i < len; i++) {
+            if ((' ' + ref[i].className + ' ').replace(/[ \t\n\f\r]+/g, ' ').indexOf(' ' + buttonClass + ' ') !== -1) {
+              results.push(ref[i]);
+            }
+          }
+          return results
+        })();
+      for (var i = 0, len = ref.length; i < len; i++) {
+        if (ref[i].githubButtonMounted) {
+          continue
+        }
+        (function (anchor) {
+          render$1(anchor, function (el) {
+            anchor.parentNode.replaceChild(el, anchor);
+          });
+        })(ref[i]);
+      }
+    };
+  
+    config.render = mount;
+    config.renderAll = renderAll;
+    window.GitHubButtons = config;
+  
     if (location.protocol + '//' + location.host + location.pathname === iframeURL) {
       render(document.body, parse(window.name || location.hash.replace(/^#/, '')), function () {});
-    } else {
+    } else if (config.autoRender !== false) {
       defer(function () {
-        var ref = document.querySelectorAll
-          ? document.querySelectorAll('a.' + buttonClass)
-          : (function () {
-            var results = [];
-            var ref = document.getElementsByTagName('a');
-            for (var i = 0, len = ref.length; i < len; i++) {
-              if ((' ' + ref[i].className + ' ').replace(/[ \t\n\f\r]+/g, ' ').indexOf(' ' + buttonClass + ' ') !== -1) {
-                results.push(ref[i]);
-              }
-            }
-            return results
-          })();
-        for (var i = 0, len = ref.length; i < len; i++) {
-          (function (anchor) {
-            render$1(anchor, function (el) {
-              anchor.parentNode.replaceChild(el, anchor);
-            });
-          })(ref[i]);
-        }
+        renderAll(document);
       });
     }
   
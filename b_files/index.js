@@ -7,12 +7,34 @@ var growthbook = (function (exports) {
     staleTTL: 1000 * 60,
     cacheKey: "gbFeaturesCache",
     backgroundSync: true,
-    maxEntries: 10
+    maxEntries: 10,
+    // Storage adapter for the persistent cache (falls back to localStorage when not set)
+    storage: null,
+    // How to keep features live in the background:
+    // "sse" (streaming only), "polling" (always poll) or "auto" (stream when supported, otherwise poll)
+    refreshMode: "sse",
+    pollingInterval: 1000 * 30,
+    // Streaming channel implementation: "sse" (EventSource) or "websocket"
+    streamingTransport: "sse",
+    // WebSocket connections send a ping this often and reconnect after two silent intervals
+    heartbeatInterval: 1000 * 25,
+    // Share one stream between browser tabs, see startCrossTabSync
+    crossTabSync: false
+  };
+  const fetchSettings = {
+    // Retry temporary errors (network, 429 and 5xx) with exponential backoff
+    maxRetries: 3,
+    retryDelay: 1000,
+    maxRetryDelay: 30000,
+    // Stop hitting the API after this many failed fetches in a row, and wait before trying again
+    circuitBreakerThreshold: 5,
+    circuitBreakerCooldown: 1000 * 60
   };
   const polyfills = {
     fetch: globalThis.fetch ? globalThis.fetch.bind(globalThis) : undefined,
     SubtleCrypto: globalThis.crypto ? globalThis.crypto.subtle : undefined,
-    EventSource: globalThis.EventSource
+    EventSource: globalThis.EventSource,
+    WebSocket: globalThis.WebSocket
   };
   const helpers = {
     fetchFeaturesCall: _ref => {
@@ -54,8 +76,90 @@ var growthbook = (function (exports) {
         });
       }
       return new polyfills.EventSource("".concat(host, "/sub/").concat(clientKey));
+    },
+    webSocketCall: _ref6 => {
+      let {
+        host,
+        clientKey,
+        headers
+      } = _ref6;
+      return createWebSocketSource("".concat(host.replace(/^http/, "ws"), "/sub/").concat(clientKey), clientKey, headers);
     }
   };
+
+  // Wrap a WebSocket in the EventSource-like interface used by streaming channels
+  // Messages are JSON: `{ type: "features" | "features-updated", data }`
+  // The client subscribes on every (re)connect and keeps the connection alive with pings
+  function createWebSocketSource(url, clientKey, headers) {
+    const ws = headers ? new polyfills.WebSocket(url, [], {
+      headers
+    }) : new polyfills.WebSocket(url);
+    const listeners = {};
+    let heartbeat = 0;
+    let lastMessage = Date.now();
+    const source = {
+      readyState: 0,
+      onopen: null,
+      onerror: null,
+      addEventListener: (type, cb) => {
+        (listeners[type] = listeners[type] || []).push(cb);
+      },
+      close: () => {
+        heartbeat && clearInterval(heartbeat);
+        heartbeat = 0;
+        source.readyState = 2;
+        ws.onclose = null;
+        ws.onerror = null;
+        ws.close();
+      }
+    };
+    const fail = () => {
+      if (source.readyState === 2) return;
+      heartbeat && clearInterval(heartbeat);
+      heartbeat = 0;
+      source.readyState = 2;
+      source.onerror && source.onerror();
+    };
+    ws.onopen = () => {
+      source.readyState = 1;
+      lastMessage = Date.now();
+      ws.send(JSON.stringify({
+        type: "subscribe",
+        clientKey
+      }));
+      heartbeat = setInterval(() => {
+        // No message (not even a pong) for two intervals, the connection is dead
+        if (Date.now() - lastMessage > cacheSettings.heartbeatInterval * 2) {
+          ws.close();
+          fail();
+          return;
+        }
+        ws.send(JSON.stringify({
+          type: "ping"
+        }));
+      }, cacheSettings.heartbeatInterval);
+      source.onopen && source.onopen();
+    };
+    ws.onmessage = msg => {
+      lastMessage = Date.now();
+      let message;
+      try {
+        message = JSON.parse(msg.data);
+      } catch (e) {
+        return;
+      }
+      const cbs = listeners[message.type];
+      if (!cbs) return;
+      const event = {
+        type: message.type,
+        data: typeof message.data === "string" ? message.data : JSON.stringify(message.data || {})
+      };
+      cbs.forEach(cb => cb(event));
+    };
+    ws.onerror = fail;
+    ws.onclose = fail;
+    return source;
+  }
   try {
     if (globalThis.localStorage) {
       polyfills.localStorage = globalThis.localStorage;
@@ -66,27 +170,60 @@ var growthbook = (function (exports) {
 
   // Global state
   const subscribedInstances = new Map();
-  let cacheInitialized = false;
+  let cacheInitialization = null;
   const cache = new Map();
+  // Keys evicted or cleared from `cache`, removed from the persistent storage on the next write
+  const evictedKeys = new Set();
   const activeFetches = new Map();
   const streams = new Map();
   const supportsSSE = new Set();
+  const snapshots = new Map();
+  const circuits = new Map();
+  const pollers = new Map();
+  let visibilityListenerAdded = false;
+  let syncState = null;
+
+  // Error surfaced to `loadFeatures` callers when features could not be fetched
+  // `code` is one of "http_error", "network_error", "invalid_response" or "circuit_open"
+  class FeatureFetchError extends Error {
+    constructor(message, code, details) {
+      super(message);
+      details = details || {};
+      this.name = "FeatureFetchError";
+      this.code = code;
+      this.status = details.status || 0;
+      this.retryAfter = details.retryAfter || 0;
+      this.cause = details.cause;
+    }
+  }
 
   // Public functions
   function setPolyfills(overrides) {
     Object.assign(polyfills, overrides);
   }
+  function configureFetch(overrides) {
+    Object.assign(fetchSettings, overrides);
+  }
   function configureCache(overrides) {
     Object.assign(cacheSettings, overrides);
+    if ("storage" in overrides) {
+      // Re-read the persistent cache from the new backend on next use
+      cacheInitialization = null;
+    }
     if (!cacheSettings.backgroundSync) {
       clearAutoRefresh();
     }
+    if ("crossTabSync" in overrides) {
+      cacheSettings.crossTabSync ? startCrossTabSync() : stopCrossTabSync();
+    }
   }
   async function clearCache() {
+    cache.forEach((entry, key) => evictedKeys.add(key));
     cache.clear();
     activeFetches.clear();
+    circuits.clear();
     clearAutoRefresh();
-    cacheInitialized = false;
+    cacheInitialization = null;
     await updatePersistentCache();
   }
   async function refreshFeatures(instance, timeout, skipCache, allowStale, updateInstance, backgroundSync) {
@@ -108,15 +245,228 @@ var growthbook = (function (exports) {
     subscribedInstances.forEach(s => s.delete(instance));
   }
 
+  // Persistent cache storage adapters
+  // Every adapter implements the same async interface: get, set, delete and keys
+  // Values are plain JSON-serializable objects, one per cache entry
+  function createMemoryStorage() {
+    const store = new Map();
+    return {
+      get: async key => store.has(key) ? store.get(key) : null,
+      set: async (key, value) => {
+        store.set(key, value);
+      },
+      delete: async key => {
+        store.delete(key);
+      },
+      keys: async () => Array.from(store.keys())
+    };
+  }
+  function createLocalStorageStorage(localStorage, prefix) {
+    prefix = prefix || cacheSettings.cacheKey + "::";
+    const getStorage = () => localStorage || polyfills.localStorage;
+    return {
+      get: async key => {
+        const value = await getStorage().getItem(prefix + key);
+        return value ? JSON.parse(value) : null;
+      },
+      set: async (key, value) => {
+        await getStorage().setItem(prefix + key, JSON.stringify(value));
+      },
+      delete: async key => {
+        await getStorage().removeItem(prefix + key);
+      },
+      keys: async () => {
+        const storage = getStorage();
+        const keys = [];
+        for (let i = 0; i < storage.length; i++) {
+          const k = storage.key(i);
+          if (k && k.indexOf(prefix) === 0) keys.push(k.substring(prefix.length));
+        }
+        return keys;
+      }
+    };
+  }
+  function createCookieStorage(options) {
+    options = options || {};
+    const prefix = options.prefix || "gbStickyBuckets__";
+    const maxAge = options.maxAge || 60 * 60 * 24 * 180;
+    const getDocument = () => options.document || globalThis.document;
+    const readCookies = () => {
+      const cookies = {};
+      (getDocument().cookie || "").split(/;\s*/).forEach(pair => {
+        const i = pair.indexOf("=");
+        if (i > 0) cookies[pair.substring(0, i)] = pair.substring(i + 1);
+      });
+      return cookies;
+    };
+    const getName = key => prefix + encodeURIComponent(key);
+    return {
+      get: async key => {
+        const value = readCookies()[getName(key)];
+        return value ? JSON.parse(decodeURIComponent(value)) : null;
+      },
+      set: async (key, value) => {
+        getDocument().cookie = "".concat(getName(key), "=").concat(encodeURIComponent(JSON.stringify(value)), "; path=/; max-age=").concat(maxAge, "; SameSite=Lax");
+      },
+      delete: async key => {
+        getDocument().cookie = "".concat(getName(key), "=; path=/; max-age=0");
+      },
+      keys: async () => Object.keys(readCookies()).filter(k => k.indexOf(prefix) === 0).map(k => decodeURIComponent(k.substring(prefix.length)))
+    };
+  }
+  function createIndexedDBStorage(options) {
+    options = options || {};
+    const dbName = options.dbName || "growthbook";
+    const storeName = options.storeName || "features";
+    const indexedDB = options.indexedDB || globalThis.indexedDB;
+    if (!indexedDB) {
+      throw new Error("No IndexedDB implementation found");
+    }
+    let dbPromise;
+    const getDB = () => {
+      if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+          const req = indexedDB.open(dbName, 1);
+          req.onupgradeneeded = () => req.result.createObjectStore(storeName);
+          req.onsuccess = () => resolve(req.result);
+          req.onerror = () => reject(req.error);
+        });
+      }
+      return dbPromise;
+    };
+    const run = async (mode, fn) => {
+      const db = await getDB();
+      return new Promise((resolve, reject) => {
+        const req = fn(db.transaction(storeName, mode).objectStore(storeName));
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    };
+    return {
+      get: async key => {
+        const value = await run("readonly", store => store.get(key));
+        return value === undefined ? null : value;
+      },
+      set: async (key, value) => {
+        await run("readwrite", store => store.put(value, key));
+      },
+      delete: async key => {
+        await run("readwrite", store => store.delete(key));
+      },
+      keys: async () => {
+        const keys = await run("readonly", store => store.getAllKeys());
+        return keys.map(k => k + "");
+      }
+    };
+  }
+  function createFileSystemStorage(options) {
+    options = typeof options === "string" ? {
+      dir: options
+    } : options || {};
+    const dir = (options.dir || ".growthbook-cache").replace(/\/*$/, "");
+    const fs = options.fs || (typeof require === "function" ? require("fs").promises : null);
+    if (!fs) {
+      throw new Error("No filesystem implementation found");
+    }
+    const getFile = key => "".concat(dir, "/").concat(encodeURIComponent(key), ".json");
+    return {
+      get: async key => {
+        try {
+          return JSON.parse(await fs.readFile(getFile(key), "utf8"));
+        } catch (e) {
+          return null;
+        }
+      },
+      set: async (key, value) => {
+        await fs.mkdir(dir, {
+          recursive: true
+        });
+        await fs.writeFile(getFile(key), JSON.stringify(value));
+      },
+      delete: async key => {
+        try {
+          await fs.unlink(getFile(key));
+        } catch (e) {
+          // Ignore missing files
+        }
+      },
+      keys: async () => {
+        try {
+          const files = await fs.readdir(dir);
+          return files.filter(f => /\.json$/.test(f)).map(f => decodeURIComponent(f.replace(/\.json$/, "")));
+        } catch (e) {
+          return [];
+        }
+      }
+    };
+  }
+
+  // Sticky bucketing
+  // Assignment docs are stored per attribute value: { attributeName, attributeValue, assignments }
+  // `assignments` maps "<experimentKey>__<bucketVersion>" to the assigned variation key
+  // Docs are kept in localStorage by default, under their own prefix so the feature cache never sees them
+  function createStickyBucketService(storage) {
+    storage = storage || (polyfills.localStorage ? createLocalStorageStorage(polyfills.localStorage, "gbStickyBuckets::") : createMemoryStorage());
+    const getAssignments = (attributeName, attributeValue) => storage.get(getStickyBucketDocKey(attributeName, attributeValue));
+    return {
+      getAssignments,
+      saveAssignments: doc => storage.set(getStickyBucketDocKey(doc.attributeName, doc.attributeValue), doc),
+      getAllAssignments: async attributes => {
+        const docs = {};
+        await Promise.all(Object.keys(attributes).map(async attributeName => {
+          const doc = await getAssignments(attributeName, attributes[attributeName]);
+          if (doc) docs[getStickyBucketDocKey(attributeName, attributes[attributeName])] = doc;
+        }));
+        return docs;
+      }
+    };
+  }
+  function getStickyBucketDocKey(attributeName, attributeValue) {
+    return "".concat(attributeName, "||").concat(attributeValue);
+  }
+  function getStickyBucketExperimentKey(experimentKey, bucketVersion) {
+    return "".concat(experimentKey, "__").concat(bucketVersion || 0);
+  }
+
   // Private functions
-  async function updatePersistentCache() {
+  function getCacheStorage() {
+    if (cacheSettings.storage) return cacheSettings.storage;
+    if (polyfills.localStorage) return createLocalStorageStorage(polyfills.localStorage);
+    return null;
+  }
+
+  // Write cache entries to the persistent storage backend
+  // When `cacheKey` is given, only that entry is written, otherwise the whole cache is synced
+  async function updatePersistentCache(cacheKey) {
     try {
-      if (!polyfills.localStorage) return;
-      await polyfills.localStorage.setItem(cacheSettings.cacheKey, JSON.stringify(Array.from(cache.entries())));
+      const storage = getCacheStorage();
+      if (!storage) return;
+      const writes = [];
+      if (cacheKey) {
+        const entry = cache.get(cacheKey);
+        if (entry) writes.push(storage.set(cacheKey, serializeCacheEntry(entry)));
+      } else {
+        cache.forEach((entry, key) => {
+          writes.push(storage.set(key, serializeCacheEntry(entry)));
+        });
+      }
+      // Remove entries that were evicted from the in-memory cache
+      // Other entries may belong to another process sharing the storage, leave them alone
+      evictedKeys.forEach(key => {
+        if (!cache.has(key)) writes.push(storage.delete(key));
+      });
+      evictedKeys.clear();
+      await Promise.all(writes);
     } catch (e) {
-      // Ignore localStorage errors
+      // Ignore storage errors
     }
   }
+  function serializeCacheEntry(entry) {
+    return {
+      ...entry,
+      staleAt: entry.staleAt.toISOString()
+    };
+  }
   async function fetchFeaturesWithCache(instance, allowStale, timeout, skipCache) {
     const key = getKey(instance);
     const cacheKey = getCacheKey(instance);
@@ -129,7 +479,9 @@ var growthbook = (function (exports) {
 
       // Reload features in the background if stale
       if (existing.staleAt < now) {
-        fetchFeatures(instance);
+        fetchFeatures(instance).catch(() => {
+          // Errors are surfaced when nothing is cached
+        });
       }
       // Otherwise, if we don't need to refresh now, start a background sync
       else {
@@ -162,52 +514,76 @@ var growthbook = (function (exports) {
     }));
   }
 
-  // Guarantee the promise always resolves within {timeout} ms
-  // Resolved value will be `null` when there's an error or it takes too long
+  // Guarantee the promise always settles within {timeout} ms
+  // Resolved value will be `null` when it takes too long, errors are passed through
   // Note: The promise will continue running in the background, even if the timeout is hit
   function promiseTimeout(promise, timeout) {
-    return new Promise(resolve => {
+    return new Promise((resolve, reject) => {
       let resolved = false;
       let timer;
-      const finish = data => {
+      const finish = (data, error) => {
         if (resolved) return;
         resolved = true;
         timer && clearTimeout(timer);
-        resolve(data || null);
+        error ? reject(error) : resolve(data || null);
       };
       if (timeout) {
         timer = setTimeout(() => finish(), timeout);
       }
-      promise.then(data => finish(data)).catch(() => finish());
+      promise.then(data => finish(data)).catch(e => finish(null, e));
     });
   }
 
-  // Populate cache from localStorage (if available)
-  async function initializeCache() {
-    if (cacheInitialized) return;
-    cacheInitialized = true;
+  // Populate cache from the persistent storage backend (if available)
+  // Concurrent callers share the same read, so none of them sees a half-loaded cache
+  function initializeCache() {
+    if (!cacheInitialization) {
+      cacheInitialization = readPersistentCache();
+    }
+    return cacheInitialization;
+  }
+  async function readPersistentCache() {
     try {
-      if (polyfills.localStorage) {
-        const value = await polyfills.localStorage.getItem(cacheSettings.cacheKey);
-        if (value) {
-          const parsed = JSON.parse(value);
-          if (parsed && Array.isArray(parsed)) {
-            parsed.forEach(_ref4 => {
-              let [key, data] = _ref4;
-              cache.set(key, {
-                ...data,
-                staleAt: new Date(data.staleAt)
-              });
-            });
-          }
-          cleanupCache();
-        }
-      }
+      await migrateLegacyCache();
+      const storage = getCacheStorage();
+      if (!storage) return;
+      const keys = await storage.keys();
+      const entries = await Promise.all(keys.map(key => storage.get(key)));
+      keys.forEach((key, i) => {
+        const data = entries[i];
+        if (!data || cache.has(key)) return;
+        cache.set(key, {
+          ...data,
+          staleAt: new Date(data.staleAt)
+        });
+      });
+      cleanupCache();
     } catch (e) {
-      // Ignore localStorage errors
+      // Ignore storage errors
     }
   }
 
+  // Older versions stored the whole cache as a single JSON blob in localStorage
+  // Move those entries into the configured storage backend and drop the blob
+  async function migrateLegacyCache() {
+    if (!polyfills.localStorage) return;
+    const value = await polyfills.localStorage.getItem(cacheSettings.cacheKey);
+    if (!value) return;
+    const parsed = JSON.parse(value);
+    if (parsed && Array.isArray(parsed)) {
+      parsed.forEach(_ref4 => {
+        let [key, data] = _ref4;
+        cache.set(key, {
+          ...data,
+          staleAt: new Date(data.staleAt)
+        });
+      });
+    }
+    cleanupCache();
+    await polyfills.localStorage.removeItem(cacheSettings.cacheKey);
+    await updatePersistentCache();
+  }
+
   // Enforce the maxEntries limit
   function cleanupCache() {
     const entriesWithTimestamps = Array.from(cache.entries()).map(_ref5 => {
@@ -220,18 +596,20 @@ var growthbook = (function (exports) {
     const entriesToRemoveCount = Math.min(Math.max(0, cache.size - cacheSettings.maxEntries), cache.size);
     for (let i = 0; i < entriesToRemoveCount; i++) {
       cache.delete(entriesWithTimestamps[i].key);
+      evictedKeys.add(entriesWithTimestamps[i].key);
     }
   }
 
   // Called whenever new features are fetched from the API
-  function onNewFeatureData(key, cacheKey, data) {
+  function onNewFeatureData(key, cacheKey, data, etag) {
     // If contents haven't changed, ignore the update, extend the stale TTL
     const version = data.dateUpdated || "";
     const staleAt = new Date(Date.now() + cacheSettings.staleTTL);
     const existing = cache.get(cacheKey);
     if (existing && version && existing.version === version) {
       existing.staleAt = staleAt;
-      updatePersistentCache();
+      if (etag) existing.etag = etag;
+      updatePersistentCache(cacheKey);
       return;
     }
 
@@ -240,21 +618,52 @@ var growthbook = (function (exports) {
       data,
       version,
       staleAt,
-      sse: supportsSSE.has(key)
+      sse: supportsSSE.has(key),
+      etag: etag || ""
     });
     cleanupCache();
-    // Update local storage (don't await this, just update asynchronously)
-    updatePersistentCache();
+    // Update persistent storage (don't await this, just update asynchronously)
+    updatePersistentCache(cacheKey);
 
     // Update features for all subscribed GrowthBook instances
     const instances = subscribedInstances.get(key);
     instances && instances.forEach(instance => refreshInstance(instance, data));
+
+    // Share the new payload with the other tabs
+    if (syncState && syncState.leader) {
+      broadcastSyncMessage({
+        type: "features",
+        key,
+        cacheKey,
+        data,
+        etag: etag || ""
+      });
+    }
+  }
+  // Called when the API answers a conditional request with 304 Not Modified
+  function onNotModified(cacheKey) {
+    const existing = cache.get(cacheKey);
+    if (!existing) {
+      throw new FeatureFetchError("Received 304 Not Modified without a cached payload", "invalid_response", {
+        status: 304
+      });
+    }
+    existing.staleAt = new Date(Date.now() + cacheSettings.staleTTL);
+    updatePersistentCache(cacheKey);
+    return existing.data;
   }
   async function refreshInstance(instance, data) {
+    await instance.refreshStickyBuckets();
+    if (data.encryptedSavedGroups) {
+      await instance.setEncryptedSavedGroups(data.encryptedSavedGroups, undefined, polyfills.SubtleCrypto);
+    } else if (data.savedGroups) {
+      instance.setSavedGroups(data.savedGroups);
+    }
     await (data.encryptedExperiments ? instance.setEncryptedExperiments(data.encryptedExperiments, undefined, polyfills.SubtleCrypto) : instance.setExperiments(data.experiments || instance.getExperiments()));
     await (data.encryptedFeatures ? instance.setEncryptedFeatures(data.encryptedFeatures, undefined, polyfills.SubtleCrypto) : instance.setFeatures(data.features || instance.getFeatures()));
   }
   async function fetchFeatures(instance) {
+    await initializeCache();
     const {
       apiHost,
       apiRequestHeaders
@@ -265,7 +674,20 @@ var growthbook = (function (exports) {
     const cacheKey = getCacheKey(instance);
     let promise = activeFetches.get(cacheKey);
     if (!promise) {
-      const fetcher = remoteEval ? helpers.fetchRemoteEvalCall({
+      // While the circuit is open, don't hit the API and serve the last cached payload instead
+      const circuit = circuits.get(key);
+      if (circuit && circuit.openUntil > Date.now()) {
+        const existing = cache.get(cacheKey);
+        if (existing) return existing.data;
+        throw new FeatureFetchError("Feature requests are paused after repeated failures", "circuit_open", {
+          retryAfter: circuit.openUntil - Date.now()
+        });
+      }
+      // Make a conditional request when we already have a cached payload
+      const cached = cache.get(cacheKey);
+      const etag = cached && cached.etag;
+      let newEtag = "";
+      const fetcher = () => remoteEval ? helpers.fetchRemoteEvalCall({
         host: apiHost,
         clientKey,
         payload: {
@@ -278,29 +700,103 @@ var growthbook = (function (exports) {
       }) : helpers.fetchFeaturesCall({
         host: apiHost,
         clientKey,
-        headers: apiRequestHeaders
+        headers: etag ? {
+          ...apiRequestHeaders,
+          "If-None-Match": etag
+        } : apiRequestHeaders
       });
 
-      // TODO: auto-retry if status code indicates a temporary error
-      promise = fetcher.then(res => {
+      promise = fetchWithRetry(fetcher).then(res => {
         if (res.headers.get("x-sse-support") === "enabled") {
           supportsSSE.add(key);
         }
-        return res.json();
+        // Features haven't changed since the cached ETag
+        if (res.status === 304) return null;
+        newEtag = res.headers.get("etag") || "";
+        return res.json().catch(e => {
+          throw new FeatureFetchError("Invalid features response", "invalid_response", {
+            status: res.status,
+            cause: e
+          });
+        });
       }).then(data => {
-        onNewFeatureData(key, cacheKey, data);
+        circuits.delete(key);
+        if (data) {
+          onNewFeatureData(key, cacheKey, data, newEtag);
+        } else {
+          data = onNotModified(cacheKey);
+        }
         startAutoRefresh(instance);
         activeFetches.delete(cacheKey);
         return data;
       }).catch(e => {
         activeFetches.delete(cacheKey);
-        return Promise.resolve({});
+        onFetchFailure(key, e);
+
+        // Fall back to the last cached payload (even if stale) before giving up
+        const existing = cache.get(cacheKey);
+        if (existing) return existing.data;
+        throw e;
       });
       activeFetches.set(cacheKey, promise);
     }
     return await promise;
   }
 
+  // Call `fetcher` until it succeeds, retrying network errors, 429 and 5xx responses
+  // Honors the `Retry-After` header, otherwise uses exponential backoff with jitter
+  async function fetchWithRetry(fetcher) {
+    for (let attempt = 0;; attempt++) {
+      let res = null;
+      let error;
+      try {
+        res = await fetcher();
+      } catch (e) {
+        error = new FeatureFetchError("Network error while fetching features", "network_error", {
+          cause: e
+        });
+      }
+      if (res && !(res.status >= 400)) return res;
+      const retryAfter = res ? getRetryAfter(res) : 0;
+      if (res) {
+        error = new FeatureFetchError("Failed to fetch features (HTTP ".concat(res.status, ")"), "http_error", {
+          status: res.status,
+          retryAfter
+        });
+      }
+      const retryable = !res || res.status === 429 || res.status >= 500;
+      if (!retryable || attempt >= fetchSettings.maxRetries) throw error;
+      // Don't wait longer than allowed, the circuit breaker takes over from here
+      if (retryAfter > fetchSettings.maxRetryDelay) throw error;
+      const delay = retryAfter || Math.min(fetchSettings.retryDelay * Math.pow(2, attempt) * (1 + Math.random() * 0.5), fetchSettings.maxRetryDelay);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  // Parse a `Retry-After` header (seconds or an HTTP date) into ms
+  function getRetryAfter(res) {
+    const header = res.headers && res.headers.get("retry-after");
+    if (!header) return 0;
+    const seconds = parseInt(header);
+    if (/^\d+$/.test(header.trim())) return seconds * 1000;
+    const date = Date.parse(header);
+    return isNaN(date) ? 0 : Math.max(0, date - Date.now());
+  }
+  function onFetchFailure(key, error) {
+    const circuit = circuits.get(key) || {
+      failures: 0,
+      openUntil: 0
+    };
+    circuit.failures++;
+    if (circuit.failures >= fetchSettings.circuitBreakerThreshold) {
+      circuit.openUntil = Date.now() + fetchSettings.circuitBreakerCooldown;
+    }
+    if (error && error.retryAfter) {
+      circuit.openUntil = Math.max(circuit.openUntil, Date.now() + error.retryAfter);
+    }
+    circuits.set(key, circuit);
+  }
+
   // Watch a feature endpoint for changes
   // Will prefer SSE if enabled, otherwise fall back to cron
   function startAutoRefresh(instance) {
@@ -311,7 +807,14 @@ var growthbook = (function (exports) {
       streamingHostRequestHeaders
     } = instance.getApiHosts();
     const clientKey = instance.getClientKey();
-    if (cacheSettings.backgroundSync && supportsSSE.has(key) && polyfills.EventSource) {
+    if (!cacheSettings.backgroundSync) return;
+    // Only the leader tab keeps a stream open when tabs are synced
+    if (syncState && !syncState.leader) return;
+    // WebSockets go through a proxy we control, so they don't depend on the `x-sse-support` header
+    const canStream = cacheSettings.streamingTransport === "websocket" ? !!polyfills.WebSocket : supportsSSE.has(key) && !!polyfills.EventSource;
+    if (cacheSettings.refreshMode === "polling" || cacheSettings.refreshMode === "auto" && !canStream) {
+      startPolling(instance);
+    } else if (canStream) {
       if (streams.has(key)) return;
       const channel = {
         src: null,
@@ -320,7 +823,9 @@ var growthbook = (function (exports) {
             if (event.type === "features-updated") {
               const instances = subscribedInstances.get(key);
               instances && instances.forEach(instance => {
-                fetchFeatures(instance);
+                fetchFeatures(instance).catch(() => {
+                  // Keep the current features until the next update
+                });
               });
             } else if (event.type === "features") {
               const json = JSON.parse(event.data);
@@ -344,7 +849,8 @@ var growthbook = (function (exports) {
       // exponential backoff after 4 errors, with jitter
       const delay = Math.pow(3, channel.errors - 3) * (1000 + Math.random() * 1000);
       disableChannel(channel);
-      setTimeout(() => {
+      channel.timer = setTimeout(() => {
+        channel.timer = 0;
         enableChannel(channel, host, clientKey, headers);
       }, Math.min(delay, 300000)); // 5 minutes max
     }
@@ -358,7 +864,8 @@ var growthbook = (function (exports) {
     channel.src = null;
   }
   function enableChannel(channel, host, clientKey, headers) {
-    channel.src = helpers.eventSourceCall({
+    const streamingCall = cacheSettings.streamingTransport === "websocket" ? helpers.webSocketCall : helpers.eventSourceCall;
+    channel.src = streamingCall({
       host,
       clientKey,
       headers
@@ -373,9 +880,64 @@ var growthbook = (function (exports) {
     };
   }
   function destroyChannel(channel, key) {
+    // Cancel a pending reconnect so a destroyed channel never comes back
+    channel.timer && clearTimeout(channel.timer);
     disableChannel(channel);
     streams.delete(key);
   }
+  // Polling fallback for when SSE is unavailable
+  // Conditional requests keep polls cheap, and polling pauses while the tab is hidden
+  function startPolling(instance) {
+    const key = getKey(instance);
+    if (pollers.has(key)) return;
+    const poller = {
+      timer: 0,
+      paused: false
+    };
+    pollers.set(key, poller);
+    schedulePoll(key, poller, cacheSettings.pollingInterval);
+    if (!visibilityListenerAdded && typeof document !== "undefined" && document.addEventListener) {
+      visibilityListenerAdded = true;
+      document.addEventListener("visibilitychange", onVisibilityChange);
+    }
+  }
+  function schedulePoll(key, poller, delay) {
+    poller.timer = setTimeout(() => {
+      poller.timer = 0;
+      if (isDocumentHidden()) {
+        // Resumed by onVisibilityChange
+        poller.paused = true;
+        return;
+      }
+      const instances = subscribedInstances.get(key);
+      const instance = instances && instances.values().next().value;
+      if (!instance) {
+        pollers.delete(key);
+        return;
+      }
+      fetchFeatures(instance).catch(() => {
+        // Keep polling, errors are handled by the retry policy and circuit breaker
+      }).then(() => {
+        if (pollers.get(key) === poller) schedulePoll(key, poller, cacheSettings.pollingInterval);
+      });
+    }, delay);
+  }
+  function isDocumentHidden() {
+    return typeof document !== "undefined" && document.visibilityState === "hidden";
+  }
+  function onVisibilityChange() {
+    if (isDocumentHidden()) return;
+    // Poll right away when the tab becomes visible again
+    pollers.forEach((poller, key) => {
+      if (!poller.paused) return;
+      poller.paused = false;
+      schedulePoll(key, poller, 0);
+    });
+  }
+  function stopPolling(poller, key) {
+    poller.timer && clearTimeout(poller.timer);
+    pollers.delete(key);
+  }
   function clearAutoRefresh() {
     // Clear list of which keys are auto-updated
     supportsSSE.clear();
@@ -383,14 +945,246 @@ var growthbook = (function (exports) {
     // Stop listening for any SSE events
     streams.forEach(destroyChannel);
 
+    // Stop any polling timers
+    pollers.forEach(stopPolling);
+
     // Remove all references to GrowthBook instances
     subscribedInstances.clear();
   }
 
+  // Cross-tab synchronization
+  // One tab (the leader) holds the stream or polling and broadcasts new payloads to the others
+  // Leadership is a short lease in localStorage, messages go over BroadcastChannel with a storage event fallback
+  const syncLeaderKey = "gbSyncLeader";
+  const syncMessageKey = "gbSyncMessage";
+  const syncLeaseTTL = 5000;
+  function startCrossTabSync() {
+    if (syncState || typeof window === "undefined" || !window.localStorage) return;
+    const state = syncState = {
+      id: Math.random().toString(36).substring(2) + Date.now().toString(36),
+      leader: false,
+      channel: null,
+      timer: 0,
+      onStorage: e => {
+        if (e.key === syncMessageKey && e.newValue) {
+          try {
+            onSyncMessage(JSON.parse(e.newValue).msg);
+          } catch (err) {
+            // Ignore malformed messages
+          }
+        } else if (e.key === syncLeaderKey && !e.newValue) {
+          // The leader tab was closed, elect a new one right away
+          electLeader();
+        }
+      },
+      onPageHide: () => resignLeader()
+    };
+    if (globalThis.BroadcastChannel) {
+      state.channel = new BroadcastChannel("".concat(cacheSettings.cacheKey, "::sync"));
+      state.channel.onmessage = e => onSyncMessage(e.data);
+    }
+    window.addEventListener("storage", state.onStorage);
+    window.addEventListener("pagehide", state.onPageHide);
+    electLeader();
+    state.timer = setInterval(electLeader, syncLeaseTTL / 2);
+  }
+  function stopCrossTabSync() {
+    const state = syncState;
+    if (!state) return;
+    resignLeader();
+    clearInterval(state.timer);
+    state.channel && state.channel.close();
+    window.removeEventListener("storage", state.onStorage);
+    window.removeEventListener("pagehide", state.onPageHide);
+    syncState = null;
+
+    // This tab is on its own again
+    resumeAutoRefresh();
+  }
+  function readSyncLease() {
+    try {
+      const value = window.localStorage.getItem(syncLeaderKey);
+      return value ? JSON.parse(value) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+  function writeSyncLease(id) {
+    try {
+      window.localStorage.setItem(syncLeaderKey, JSON.stringify({
+        id,
+        expires: Date.now() + syncLeaseTTL
+      }));
+    } catch (e) {
+      // Ignore localStorage errors
+    }
+  }
+  function electLeader() {
+    const state = syncState;
+    if (!state) return;
+    const lease = readSyncLease();
+    if (lease && lease.id === state.id) {
+      // Renew our own lease
+      writeSyncLease(state.id);
+      setSyncLeader(true);
+    } else if (!lease || lease.expires < Date.now()) {
+      // Claim an expired lease, then confirm no other tab claimed it at the same time
+      writeSyncLease(state.id);
+      setTimeout(() => {
+        const current = readSyncLease();
+        syncState === state && setSyncLeader(!!current && current.id === state.id);
+      }, 50);
+    } else {
+      setSyncLeader(false);
+    }
+  }
+  function resignLeader() {
+    if (!syncState || !syncState.leader) return;
+    syncState.leader = false;
+    try {
+      window.localStorage.removeItem(syncLeaderKey);
+    } catch (e) {
+      // Ignore localStorage errors
+    }
+  }
+  function setSyncLeader(leader) {
+    if (syncState.leader === leader) return;
+    syncState.leader = leader;
+    if (leader) {
+      resumeAutoRefresh();
+    } else {
+      // Another tab holds the stream now
+      streams.forEach(destroyChannel);
+      pollers.forEach(stopPolling);
+    }
+  }
+  function resumeAutoRefresh() {
+    subscribedInstances.forEach(instances => {
+      const instance = instances.values().next().value;
+      instance && startAutoRefresh(instance);
+    });
+  }
+  function broadcastSyncMessage(msg) {
+    try {
+      if (syncState.channel) {
+        syncState.channel.postMessage(msg);
+      } else {
+        // The storage event only fires in the other tabs
+        window.localStorage.setItem(syncMessageKey, JSON.stringify({
+          msg,
+          nonce: Math.random()
+        }));
+      }
+    } catch (e) {
+      // Ignore messaging errors
+    }
+  }
+  function onSyncMessage(msg) {
+    if (!syncState || syncState.leader || !msg) return;
+    if (msg.type === "features") {
+      onNewFeatureData(msg.key, msg.cacheKey, msg.data, msg.etag);
+    }
+  }
+
+  // Offline snapshots
+  // A snapshot is either a single `/api/features/<clientKey>` payload or
+  // an object of payloads keyed by client key: `{ payloads: { [clientKey]: payload } }`
+  // Pages opened from `file://` can't fetch, they load the snapshot with a <script> and pass the object
+  async function loadSnapshot(source) {
+    if (typeof source !== "string") return source;
+    let promise = snapshots.get(source);
+    if (!promise) {
+      promise = readSnapshotSource(source).catch(e => {
+        snapshots.delete(source);
+        throw e;
+      });
+      snapshots.set(source, promise);
+    }
+    return await promise;
+  }
+  async function readSnapshotSource(source) {
+    // Local file paths are read from disk when running in Node
+    if (!/^[a-z]+:/i.test(source) && typeof require === "function") {
+      const contents = await require("fs").promises.readFile(source, "utf8");
+      return JSON.parse(contents);
+    }
+    let protocol = "";
+    try {
+      protocol = new URL(source, globalThis.location ? globalThis.location.href : undefined).protocol;
+    } catch (e) {
+      // Not a URL
+    }
+    if (protocol !== "http:" && protocol !== "https:") {
+      throw new Error("Snapshots can only be fetched over http(s): ".concat(source));
+    }
+    if (!polyfills.fetch) {
+      throw new Error("No fetch implementation found");
+    }
+    const res = await polyfills.fetch(source);
+    if (!res.ok) {
+      throw new FeatureFetchError("Snapshot request failed with status ".concat(res.status), "http_error", {
+        status: res.status
+      });
+    }
+    return await res.json();
+  }
+  function getSnapshotPayload(snapshot, clientKey) {
+    if (!snapshot) return null;
+    if (!snapshot.payloads) return snapshot;
+    if (clientKey) return snapshot.payloads[clientKey] || null;
+    // Without a client key, fall back to the only payload in the snapshot
+    const keys = Object.keys(snapshot.payloads);
+    return keys.length === 1 ? snapshot.payloads[keys[0]] : null;
+  }
+  async function refreshFromSnapshot(instance, source, updateInstance) {
+    const snapshot = await loadSnapshot(source);
+    const data = getSnapshotPayload(snapshot, instance.getClientKey());
+    if (!data) {
+      throw new Error("Snapshot does not contain a payload for this clientKey");
+    }
+    updateInstance && (await refreshInstance(instance, data));
+  }
+
+  // Build a snapshot from the current (decrypted) features and experiments of the given instances
+  function createSnapshot(instances) {
+    instances = Array.isArray(instances) ? instances : [instances];
+    const dateUpdated = new Date().toISOString();
+    const payloads = {};
+    instances.forEach(instance => {
+      payloads[instance.getClientKey()] = {
+        features: instance.getFeatures(),
+        experiments: instance.getExperiments(),
+        savedGroups: instance.getSavedGroups(),
+        dateUpdated
+      };
+    });
+    return {
+      version: 1,
+      dateCreated: dateUpdated,
+      payloads
+    };
+  }
+
+  // Write a snapshot to disk (Node only), returning the snapshot object
+  async function exportSnapshot(instances, file) {
+    const snapshot = createSnapshot(instances);
+    if (file) {
+      if (typeof require !== "function") {
+        throw new Error("Exporting a snapshot to a file is only supported in Node");
+      }
+      await require("fs").promises.writeFile(file, JSON.stringify(snapshot, null, 2));
+    }
+    return snapshot;
+  }
+
   var validAttributeName = /^[a-zA-Z:_][a-zA-Z0-9:_.-]*$/;
   var nullController = {
     revert: function revert() {}
   };
+  var detachedPosition = {
+    parentNode: null,
+    insertBeforeNode: null
+  };
   var elements = /*#__PURE__*/new Map();
   var mutations = /*#__PURE__*/new Set();
   function getObserverInit(attr) {
@@ -411,7 +1205,8 @@ var growthbook = (function (exports) {
     if (!record) {
       record = {
         element: element,
-        attributes: {}
+        attributes: {},
+        styles: {}
       };
       elements.set(element, record);
     }
@@ -487,8 +1282,9 @@ var growthbook = (function (exports) {
   function positionMutationRunner(record) {
     var val = record.originalValue;
     record.mutations.forEach(function (m) {
-      var selectors = m.mutate();
-      var newNodes = _loadDOMNodes(selectors);
+      // mutators return either selectors to look up, or the parent/sibling nodes themselves
+      var selectors = m.mutate(record.el);
+      var newNodes = selectors && selectors.parentSelector ? _loadDOMNodes(selectors) : selectors;
       val = newNodes || val;
     });
     queueIfNeeded(val, record);
@@ -507,13 +1303,25 @@ var growthbook = (function (exports) {
     return elementRecord.html;
   }
   var getElementPosition = function getElementPosition(el) {
+    // the next node, not element, so reverts restore elements next to their original text
     return {
       parentNode: el.parentElement,
-      insertBeforeNode: el.nextElementSibling
+      insertBeforeNode: el.nextSibling
     };
   };
   var setElementPosition = function setElementPosition(el, value) {
-    value.parentNode.insertBefore(el, value.insertBeforeNode);
+    if (value.parentNode) {
+      // the sibling may have been moved since (e.g. wrapped), so insert before its ancestor under parentNode
+      var insertBeforeNode = value.insertBeforeNode;
+      while (insertBeforeNode && insertBeforeNode.parentNode !== value.parentNode) {
+        insertBeforeNode = insertBeforeNode.parentNode;
+      } // already in place (e.g. a wrapper placed before the element it wraps)
+
+      if (insertBeforeNode === el) return;
+      value.parentNode.insertBefore(el, insertBeforeNode);
+    } else {
+      el.remove();
+    }
   };
   function getElementPositionRecord(element) {
     var elementRecord = getElementRecord(element);
@@ -553,10 +1361,35 @@ var growthbook = (function (exports) {
     }
     return elementRecord.attributes[attr];
   }
-  function deleteElementPropertyRecord(el, attr) {
+  var getStyleValue = function getStyleValue(property) {
+    return function (el) {
+      var value = el.style.getPropertyValue(property);
+      return value && el.style.getPropertyPriority(property) ? value + ' !important' : value;
+    };
+  }; // goes through the CSSOM, a strict CSP (style-src-attr) blocks writing the style attribute
+
+  var setStyleValue = function setStyleValue(property) {
+    return function (el, val) {
+      if (!val) return el.style.removeProperty(property);
+      var important = /\s*!important\s*$/;
+      el.style.setProperty(property, val.replace(important, ''), important.test(val) ? 'important' : '');
+    };
+  };
+  function getElementStyleRecord(el, property) {
+    var elementRecord = getElementRecord(el);
+    if (!elementRecord.styles[property]) {
+      elementRecord.styles[property] = createElementPropertyRecord(el, 'style', getStyleValue(property), setStyleValue(property), attrMutationRunner);
+    }
+    return elementRecord.styles[property];
+  }
+  function deleteElementPropertyRecord(el, attr, property) {
     var element = elements.get(el);
     if (!element) return;
-    if (attr === 'html') {
+    if (property) {
+      var _element$styles$prope, _element$styles$prope2;
+      (_element$styles$prope = element.styles[property]) == null ? void 0 : (_element$styles$prope2 = _element$styles$prope.observer) == null ? void 0 : _element$styles$prope2.disconnect();
+      delete element.styles[property];
+    } else if (attr === 'html') {
       var _element$html, _element$html$observe;
       (_element$html = element.html) == null ? void 0 : (_element$html$observe = _element$html.observer) == null ? void 0 : _element$html$observe.disconnect();
       delete element.html;
@@ -582,12 +1415,36 @@ var growthbook = (function (exports) {
     transformContainer.innerHTML = html;
     return transformContainer.innerHTML;
   }
-  function setPropertyValue(el, attr, m) {
+  function getTextFromHTML(html) {
+    if (!transformContainer) {
+      transformContainer = document.createElement('div');
+    }
+    transformContainer.innerHTML = html;
+    return transformContainer.textContent;
+  }
+  function getHTMLFromText(text) {
+    if (!transformContainer) {
+      transformContainer = document.createElement('div');
+    }
+    transformContainer.textContent = text;
+    return transformContainer.innerHTML;
+  }
+  function createElementFromHTML(html) {
+    if (!transformContainer) {
+      transformContainer = document.createElement('div');
+    }
+    transformContainer.innerHTML = html;
+    var el = transformContainer.firstElementChild;
+    if (el) transformContainer.removeChild(el);
+    transformContainer.innerHTML = '';
+    return el;
+  }
+  function setPropertyValue(el, attr, m, property) {
     if (!m.isDirty) return;
     m.isDirty = false;
     var val = m.virtualValue;
     if (!m.mutations.length) {
-      deleteElementPropertyRecord(el, attr);
+      deleteElementPropertyRecord(el, attr, property);
     }
     m.setValue(el, val);
   }
@@ -599,6 +1456,9 @@ var growthbook = (function (exports) {
     Object.keys(m.attributes).forEach(function (attr) {
       setPropertyValue(el, attr, m.attributes[attr]);
     });
+    Object.keys(m.styles).forEach(function (property) {
+      setPropertyValue(el, 'style', m.styles[property], property);
+    });
   }
   function setValues() {
     raf = false;
@@ -611,37 +1471,64 @@ var growthbook = (function (exports) {
     }
   } // find or create ElementPropertyRecord, add mutation to it, then run
 
-  function startMutating(mutation, element) {
-    var record = null;
+  // the element created by an insert or wrap mutation for a matched element
+  function getInsertedNode(mutation, element) {
+    var node = mutation.nodes.get(element);
+    if (!node) {
+      node = createElementFromHTML(mutation.html);
+      if (!node) return null;
+      mutation.nodes.set(element, node);
+      mutation.targets.set(node, element);
+    }
+    return node;
+  } // find or create the ElementPropertyRecords a mutation applies to
+
+  function getMutationRecords(mutation, element) {
+    var records = [];
     if (mutation.kind === 'html') {
-      record = getElementHTMLRecord(element);
+      records.push(getElementHTMLRecord(element));
     } else if (mutation.kind === 'class') {
-      record = getElementClassRecord(element);
+      records.push(getElementClassRecord(element));
     } else if (mutation.kind === 'attribute') {
-      record = getElementAttributeRecord(element, mutation.attribute);
-    } else if (mutation.kind === 'position') {
-      record = getElementPositionRecord(element);
+      records.push(getElementAttributeRecord(element, mutation.attribute));
+    } else if (mutation.kind === 'style') {
+      records.push(getElementStyleRecord(element, mutation.property));
+    } else if (mutation.kind === 'position' || mutation.kind === 'remove') {
+      records.push(getElementPositionRecord(element));
+    } else if (mutation.kind === 'insert' || mutation.kind === 'wrap') {
+      var node = getInsertedNode(mutation, element);
+      if (!node) return records;
+      records.push(getElementPositionRecord(node)); // a wrapped element moves into the wrapper as well
+
+      if (mutation.kind === 'wrap') {
+        records.push(getElementPositionRecord(element)); // updates run in insertion order, the wrapper must be placed before the element moves into it
+
+        var elementRecord = elements.get(element);
+        elements["delete"](element);
+        elements.set(element, elementRecord);
+      }
     }
-    if (!record) return;
-    record.mutations.push(mutation);
-    record.mutationRunner(record);
-  } // get (existing) ElementPropertyRecord, remove mutation from it, then run
+    return records;
+  } // find or create ElementPropertyRecords, add mutation to them, then run
+
+  function startMutating(mutation, element) {
+    getMutationRecords(mutation, element).forEach(function (record) {
+      record.mutations.push(mutation);
+      record.mutationRunner(record);
+    });
+  } // get (existing) ElementPropertyRecords, remove mutation from them, then run
 
   function stopMutating(mutation, el) {
-    var record = null;
-    if (mutation.kind === 'html') {
-      record = getElementHTMLRecord(el);
-    } else if (mutation.kind === 'class') {
-      record = getElementClassRecord(el);
-    } else if (mutation.kind === 'attribute') {
-      record = getElementAttributeRecord(el, mutation.attribute);
-    } else if (mutation.kind === 'position') {
-      record = getElementPositionRecord(el);
-    }
-    if (!record) return;
-    var index = record.mutations.indexOf(mutation);
-    if (index !== -1) record.mutations.splice(index, 1);
-    record.mutationRunner(record);
+    getMutationRecords(mutation, el).forEach(function (record) {
+      var index = record.mutations.indexOf(mutation);
+      if (index !== -1) record.mutations.splice(index, 1);
+      record.mutationRunner(record);
+    });
+  } // elements detached by a remove mutation stay associated with it, so revert can restore them
+
+  function isDetachedByMutation(el) {
+    var record = elements.get(el);
+    return !el.isConnected && !!(record && record.position && !record.position.virtualValue.parentNode);
   } // maintain list of elements associated with mutation
 
   function refreshElementsSet(mutation) {
@@ -649,6 +1536,8 @@ var growthbook = (function (exports) {
     var newElements = new Set();
     var matchingElements = document.querySelectorAll(mutation.selector);
     matchingElements.forEach(function (el) {
+      // never insert into or wrap the elements a mutation created itself
+      if (mutation.targets && mutation.targets.has(el)) return;
       newElements.add(el);
       if (!existingElements.has(el)) {
         mutation.elements.add(el);
@@ -656,7 +1545,7 @@ var growthbook = (function (exports) {
       }
     });
     existingElements.forEach(function (el) {
-      if (!newElements.has(el)) {
+      if (!newElements.has(el) && !isDetachedByMutation(el)) {
         mutation.elements["delete"](el);
         stopMutating(mutation, el);
       }
@@ -720,6 +1609,97 @@ var growthbook = (function (exports) {
       selector: selector
     });
   }
+  // text mutations run on the element's HTML, so reverting restores any child elements
+  function text(selector, mutate) {
+    return html(selector, function (val) {
+      return getHTMLFromText(mutate(getTextFromHTML(val)));
+    });
+  }
+  function style(selector, property, mutate) {
+    return newMutation({
+      kind: 'style',
+      property: property,
+      elements: new Set(),
+      mutate: function (val) {
+        return mutate(val) || '';
+      },
+      selector: selector
+    });
+  }
+  function insert(selector, html, insertPosition) {
+    var mutation = {
+      kind: 'insert',
+      elements: new Set(),
+      nodes: new Map(),
+      targets: new Map(),
+      html: html,
+      selector: selector,
+      mutate: function mutate(node) {
+        var target = mutation.targets.get(node);
+        if (insertPosition === 'beforebegin') {
+          return {
+            parentNode: target.parentNode,
+            insertBeforeNode: target
+          };
+        } else if (insertPosition === 'afterbegin') {
+          // text nodes count too, the node goes before any leading text
+          var first = target.firstChild;
+          return {
+            parentNode: target,
+            insertBeforeNode: first === node ? node.nextSibling : first
+          };
+        } else if (insertPosition === 'afterend') {
+          var next = target.nextSibling;
+          return {
+            parentNode: target.parentNode,
+            insertBeforeNode: next === node ? node.nextSibling : next
+          };
+        }
+        return {
+          parentNode: target,
+          insertBeforeNode: null
+        };
+      }
+    };
+    return newMutation(mutation);
+  }
+  function remove(selector) {
+    return newMutation({
+      kind: 'remove',
+      elements: new Set(),
+      mutate: function mutate() {
+        return detachedPosition;
+      },
+      selector: selector
+    });
+  }
+  function wrap(selector, html) {
+    var mutation = {
+      kind: 'wrap',
+      elements: new Set(),
+      nodes: new Map(),
+      targets: new Map(),
+      html: html,
+      selector: selector,
+      mutate: function mutate(el) {
+        var target = mutation.targets.get(el);
+        if (!target) {
+          // the wrapped element itself
+          return {
+            parentNode: mutation.nodes.get(el),
+            insertBeforeNode: null
+          };
+        }
+        if (target.parentNode === el) return getElementPosition(el); // take the element's place, nodes inserted after it stay after the wrapper
+
+        return {
+          parentNode: target.parentNode,
+          insertBeforeNode: target
+        };
+      }
+    };
+    return newMutation(mutation);
+  }
   function classes(selector, mutate) {
     return newMutation({
       kind: 'class',
@@ -754,7 +1734,9 @@ var growthbook = (function (exports) {
       value = _ref2.value,
       attr = _ref2.attribute,
       parentSelector = _ref2.parentSelector,
-      insertBeforeSelector = _ref2.insertBeforeSelector;
+      insertBeforeSelector = _ref2.insertBeforeSelector,
+      insertPosition = _ref2.insertPosition,
+      property = _ref2.property;
     if (attr === 'html') {
       if (action === 'append') {
         return html(selector, function (val) {
@@ -765,6 +1747,34 @@ var growthbook = (function (exports) {
           return value != null ? value : '';
         });
       }
+    } else if (attr === 'text') {
+      if (action === 'append') {
+        return text(selector, function (val) {
+          return val + (value != null ? value : '');
+        });
+      } else if (action === 'set') {
+        return text(selector, function () {
+          return value != null ? value : '';
+        });
+      }
+    } else if (attr === 'style' && property) {
+      if (action === 'set') {
+        return style(selector, property, function () {
+          return value != null ? value : '';
+        });
+      } else if (action === 'remove') {
+        return style(selector, property, function () {
+          return null;
+        });
+      }
+    } else if (attr === 'element') {
+      if (action === 'insert' && value) {
+        return insert(selector, value, insertPosition);
+      } else if (action === 'remove') {
+        return remove(selector);
+      } else if (action === 'wrap' && value) {
+        return wrap(selector, value);
+      }
     } else if (attr === 'class') {
       if (action === 'append') {
         return classes(selector, function (val) {
@@ -808,9 +1818,14 @@ var growthbook = (function (exports) {
   }
   var index = {
     html: html,
+    text: text,
     classes: classes,
     attribute: attribute,
+    style: style,
     position: position,
+    insert: insert,
+    remove: remove,
+    wrap: wrap,
     declarative: declarative
   };
 
@@ -848,6 +1863,34 @@ var growthbook = (function (exports) {
     if (n === null) return false;
     return n >= namespace[1] && n < namespace[2];
   }
+
+  // Mutual exclusion layers
+  // A layer maps experiment keys to a share of its traffic (laid out one after another in declaration order)
+  // or to an explicit [start, end) range. Slices that overlap an earlier one are disabled (null),
+  // so a user can never be in two experiments of the same layer
+  const layerSlices = new WeakMap();
+  function getLayerSlices(layer) {
+    let slices = layerSlices.get(layer);
+    if (slices) return slices;
+    slices = {};
+    const taken = [];
+    let cursor = 0;
+    Object.keys(layer.experiments || {}).forEach(key => {
+      const allocation = layer.experiments[key];
+      const range = Array.isArray(allocation) ? allocation : [cursor, cursor + allocation];
+      cursor = range[1];
+      const start = Math.max(0, range[0]);
+      const end = Math.min(1, range[1]);
+      if (!(end > start) || taken.some(r => start < r[1] && r[0] < end)) {
+        slices[key] = null;
+        return;
+      }
+      taken.push([start, end]);
+      slices[key] = [start, end];
+    });
+    layerSlices.set(layer, slices);
+    return slices;
+  }
   function chooseVariation(n, ranges) {
     for (let i = 0; i < ranges.length; i++) {
       if (inRange(n, ranges[i])) {
@@ -1036,28 +2079,52 @@ var growthbook = (function (exports) {
   const _regexCache = {};
 
   // The top-level condition evaluation function
-  function evalCondition(obj, condition) {
+  function evalCondition(obj, condition, savedGroups) {
     // Recursive condition
     if ("$or" in condition) {
-      return evalOr(obj, condition["$or"]);
+      return evalOr(obj, condition["$or"], savedGroups);
     }
     if ("$nor" in condition) {
-      return !evalOr(obj, condition["$nor"]);
+      return !evalOr(obj, condition["$nor"], savedGroups);
     }
     if ("$and" in condition) {
-      return evalAnd(obj, condition["$and"]);
+      return evalAnd(obj, condition["$and"], savedGroups);
     }
     if ("$not" in condition) {
-      return !evalCondition(obj, condition["$not"]);
+      return !evalCondition(obj, condition["$not"], savedGroups);
     }
 
     // Condition is an object, keys are object paths, values are the condition for that path
     for (const [k, v] of Object.entries(condition)) {
-      if (!evalConditionValue(v, getPath(obj, k))) return false;
+      if (!evalConditionValue(resolveAttributeRefs(obj, v), getPath(obj, k), savedGroups)) return false;
     }
     return true;
   }
 
+  // Replace `{ $attr: "path" }` references with the value of another attribute
+  // e.g. { lastSeen: { $after: { $attr: "signupDate" } } }
+  function resolveAttributeRefs(obj, condition) {
+    if (isAttributeRef(condition)) {
+      return getPath(obj, condition["$attr"]);
+    }
+    if (!condition || typeof condition !== "object" || Array.isArray(condition) || !isOperatorObject(condition)) {
+      return condition;
+    }
+    let resolved = condition;
+    for (const op in condition) {
+      if (isAttributeRef(condition[op])) {
+        if (resolved === condition) resolved = {
+          ...condition
+        };
+        resolved[op] = getPath(obj, condition[op]["$attr"]);
+      }
+    }
+    return resolved;
+  }
+  function isAttributeRef(v) {
+    return !!v && typeof v === "object" && !Array.isArray(v) && Object.keys(v).length === 1 && typeof v["$attr"] === "string";
+  }
+
   // Return value at dot-separated path of an object
   function getPath(obj, path) {
     const parts = path.split(".");
@@ -1081,7 +2148,7 @@ var growthbook = (function (exports) {
   }
 
   // Evaluate a single value against a condition
-  function evalConditionValue(condition, value) {
+  function evalConditionValue(condition, value, savedGroups) {
     // Simple equality comparisons
     if (typeof condition === "string") {
       return value + "" === condition;
@@ -1101,7 +2168,7 @@ var growthbook = (function (exports) {
 
     // This is a special operator condition and we should evaluate each one separately
     for (const op in condition) {
-      if (!evalOperatorCondition(op, value, condition[op])) {
+      if (!evalOperatorCondition(op, value, condition[op], savedGroups)) {
         return false;
       }
     }
@@ -1126,9 +2193,9 @@ var growthbook = (function (exports) {
   }
 
   // At least one element of actual must match the expected condition/value
-  function elemMatch(actual, expected) {
+  function elemMatch(actual, expected, savedGroups) {
     if (!Array.isArray(actual)) return false;
-    const check = isOperatorObject(expected) ? v => evalConditionValue(expected, v) : v => evalCondition(v, expected);
+    const check = isOperatorObject(expected) ? v => evalConditionValue(expected, v, savedGroups) : v => evalCondition(v, expected, savedGroups);
     for (let i = 0; i < actual.length; i++) {
       if (actual[i] && check(actual[i])) {
         return true;
@@ -1144,8 +2211,102 @@ var growthbook = (function (exports) {
     return expected.includes(actual);
   }
 
+  // Convert a date to a timestamp in ms
+  // Accepts Date objects, numbers, ISO strings and relative times like "now", "now-7d" or "now+2h"
+  function getTimestamp(value) {
+    if (value instanceof Date) return value.getTime();
+    if (typeof value === "number") return value;
+    if (typeof value !== "string") return NaN;
+    const relative = value.trim().match(/^now(?:\s*([+-])\s*(\d+)\s*([smhdw]))?$/i);
+    if (relative) {
+      if (!relative[1]) return Date.now();
+      const units = {
+        s: 1000,
+        m: 60000,
+        h: 3600000,
+        d: 86400000,
+        w: 604800000
+      };
+      const offset = parseInt(relative[2]) * units[relative[3].toLowerCase()];
+      return Date.now() + (relative[1] === "-" ? -offset : offset);
+    }
+    return Date.parse(value);
+  }
+  function isBefore(a, b) {
+    const ta = getTimestamp(a);
+    const tb = getTimestamp(b);
+    if (isNaN(ta) || isNaN(tb)) return false;
+    return ta < tb;
+  }
+
+  // Expand one comparator of a semver range into a list of [operator, version] pairs
+  // "^1.2" -> [[">=", "1.2.0"], ["<", "2.0.0-0"]]
+  function getVersionComparators(comparator) {
+    const match = comparator.match(/^(\^|~|[<>]=?|=)?\s*v?(.*)$/);
+    const op = match[1] || "";
+    const [core, ...pre] = match[2].replace(/\+.*$/, "").split("-");
+    const nums = core.split(".");
+    let xIndex = nums.findIndex(n => /^(x|\*|)$/i.test(n));
+    if (xIndex < 0) xIndex = nums.length;
+    const defined = nums.slice(0, Math.min(xIndex, 3)).map(n => parseInt(n) || 0);
+    const partial = defined.length < 3;
+    const full = [...defined, 0, 0, 0].slice(0, 3).join(".") + (pre.length && !partial ? "-" + pre.join("-") : "");
+    // Increment the part at index i and zero everything after it
+    const bump = i => {
+      const parts = [...defined, 0, 0, 0].slice(0, 3).map((n, j) => j < i ? n : j === i ? n + 1 : 0);
+      return parts.join(".") + "-0";
+    };
+    if (!defined.length) {
+      // "*" or "x" matches every version, "<*" matches nothing
+      return op === "<" || op === ">" ? [["<", "0.0.0-0"]] : [];
+    }
+    if (op === "^") {
+      let i = defined.findIndex(n => n !== 0);
+      if (i < 0) i = defined.length - 1;
+      return [[">=", full], ["<", bump(i)]];
+    }
+    if (op === "~") {
+      return [[">=", full], ["<", bump(defined.length > 1 ? 1 : 0)]];
+    }
+    if (op === "" || op === "=") {
+      return partial ? [[">=", full], ["<", bump(defined.length - 1)]] : [["=", full]];
+    }
+    if (partial && op === ">") return [[">=", bump(defined.length - 1)]];
+    if (partial && op === "<=") return [["<", bump(defined.length - 1)]];
+    if (partial && op === "<") return [["<", full + "-0"]];
+    return [[op, full]];
+  }
+
+  // Evaluate a semver range expression, e.g. "^1.2", ">=1.0 <2.0" or "1.x || >=3.0.0"
+  function inVersionRange(actual, range) {
+    if (typeof actual !== "string" || typeof range !== "string") return false;
+    const version = paddedVersionString(actual);
+    return range.split("||").some(set => {
+      // Hyphen ranges: "1.0 - 2.0" -> ">=1.0 <=2.0"
+      set = set.trim().replace(/^(\S+)\s+-\s+(\S+)$/, ">=$1 <=$2");
+      // Allow a space between an operator and its version: ">= 1.0"
+      const comparators = set.replace(/([<>=^~])\s+/g, "$1").split(/\s+/).filter(Boolean);
+      return comparators.every(c => getVersionComparators(c).every(_ref => {
+        let [op, v] = _ref;
+        const expected = paddedVersionString(v);
+        switch (op) {
+          case ">":
+            return version > expected;
+          case ">=":
+            return version >= expected;
+          case "<":
+            return version < expected;
+          case "<=":
+            return version <= expected;
+          default:
+            return version === expected;
+        }
+      }));
+    });
+  }
+
   // Evaluate a single operator condition
-  function evalOperatorCondition(operator, actual, expected) {
+  function evalOperatorCondition(operator, actual, expected, savedGroups) {
     switch (operator) {
       case "$veq":
         return paddedVersionString(actual) === paddedVersionString(expected);
@@ -1159,6 +2320,12 @@ var growthbook = (function (exports) {
         return paddedVersionString(actual) < paddedVersionString(expected);
       case "$vlte":
         return paddedVersionString(actual) <= paddedVersionString(expected);
+      case "$vrange":
+        return inVersionRange(actual, expected);
+      case "$before":
+        return isBefore(actual, expected);
+      case "$after":
+        return isBefore(expected, actual);
       case "$eq":
         return actual === expected;
       case "$ne":
@@ -1179,19 +2346,23 @@ var growthbook = (function (exports) {
       case "$nin":
         if (!Array.isArray(expected)) return false;
         return !isIn(actual, expected);
+      case "$inGroup":
+        return isIn(actual, savedGroups && savedGroups[expected] || []);
+      case "$notInGroup":
+        return !isIn(actual, savedGroups && savedGroups[expected] || []);
       case "$not":
-        return !evalConditionValue(expected, actual);
+        return !evalConditionValue(expected, actual, savedGroups);
       case "$size":
         if (!Array.isArray(actual)) return false;
-        return evalConditionValue(expected, actual.length);
+        return evalConditionValue(expected, actual.length, savedGroups);
       case "$elemMatch":
-        return elemMatch(actual, expected);
+        return elemMatch(actual, expected, savedGroups);
       case "$all":
         if (!Array.isArray(actual)) return false;
         for (let i = 0; i < expected.length; i++) {
           let passed = false;
           for (let j = 0; j < actual.length; j++) {
-            if (evalConditionValue(expected[i], actual[j])) {
+            if (evalConditionValue(expected[i], actual[j], savedGroups)) {
               passed = true;
               break;
             }
@@ -1205,36 +2376,441 @@ var growthbook = (function (exports) {
         } catch (e) {
           return false;
         }
-      case "$type":
-        return getType(actual) === expected;
-      default:
-        console.error("Unknown operator: " + operator);
-        return false;
-    }
-  }
-
-  // Recursive $or rule
-  function evalOr(obj, conditions) {
-    if (!conditions.length) return true;
-    for (let i = 0; i < conditions.length; i++) {
-      if (evalCondition(obj, conditions[i])) {
-        return true;
+      case "$type":
+        return getType(actual) === expected;
+      default:
+        console.error("Unknown operator: " + operator);
+        return false;
+    }
+  }
+
+  // Find the first part of a condition that fails, used to explain evaluations
+  // Returns null if the condition passes, otherwise the path to the failing operator
+  function getConditionFailure(obj, condition, savedGroups, path) {
+    path = path || [];
+    if ("$or" in condition) {
+      return evalOr(obj, condition["$or"], savedGroups) ? null : {
+        path: [...path, "$or"],
+        operator: "$or"
+      };
+    }
+    if ("$nor" in condition) {
+      return !evalOr(obj, condition["$nor"], savedGroups) ? null : {
+        path: [...path, "$nor"],
+        operator: "$nor"
+      };
+    }
+    if ("$and" in condition) {
+      const conditions = condition["$and"];
+      for (let i = 0; i < conditions.length; i++) {
+        const failure = getConditionFailure(obj, conditions[i], savedGroups, [...path, "$and", i]);
+        if (failure) return failure;
+      }
+      return null;
+    }
+    if ("$not" in condition) {
+      return !evalCondition(obj, condition["$not"], savedGroups) ? null : {
+        path: [...path, "$not"],
+        operator: "$not"
+      };
+    }
+    for (const [k, rawValue] of Object.entries(condition)) {
+      const v = resolveAttributeRefs(obj, rawValue);
+      const actual = getPath(obj, k);
+      if (evalConditionValue(v, actual, savedGroups)) continue;
+      if (v && typeof v === "object" && !Array.isArray(v) && isOperatorObject(v)) {
+        for (const op in v) {
+          if (!evalOperatorCondition(op, actual, v[op], savedGroups)) {
+            return {
+              path: [...path, k, op],
+              operator: op,
+              expected: v[op],
+              actual
+            };
+          }
+        }
+      }
+      return {
+        path: [...path, k],
+        operator: "$eq",
+        expected: v,
+        actual
+      };
+    }
+    return null;
+  }
+
+  // Recursive $or rule
+  function evalOr(obj, conditions, savedGroups) {
+    if (!conditions.length) return true;
+    for (let i = 0; i < conditions.length; i++) {
+      if (evalCondition(obj, conditions[i], savedGroups)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Recursive $and rule
+  function evalAnd(obj, conditions, savedGroups) {
+    for (let i = 0; i < conditions.length; i++) {
+      if (!evalCondition(obj, conditions[i], savedGroups)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // Tracking transport
+  // Batches experiment exposures and feature usage events and POSTs them to `endpoint`
+  // Events are kept in storage while offline or failing, and retried with exponential backoff
+  // Every tab persists its own queue, the queue is handed over to the next page view when the tab goes away
+  function createTrackingTransport(options) {
+    options = options || {};
+    if (!options.endpoint) {
+      throw new Error("Missing tracking endpoint");
+    }
+    const batchSize = options.batchSize || 20;
+    const flushInterval = options.flushInterval || 2000;
+    const storageKey = options.storageKey || "queue";
+    // Use a separate prefix so queued events never mix with persisted feature cache entries
+    const storage = options.storage || (polyfills.localStorage ? createLocalStorageStorage(polyfills.localStorage, "gbTracking::") : createMemoryStorage());
+    const tabKey = storageKey + "::" + Math.random().toString(36).substring(2, 10);
+    const nav = globalThis.navigator;
+    let queue = [];
+    let timer = 0;
+    let sending = false;
+    let errors = 0;
+
+    // Take over the queues of tabs that were closed (or crashed a day ago), and of older versions
+    const adopt = () => Promise.resolve().then(() => storage.keys()).then(keys => Promise.all(keys.filter(key => key === storageKey || key.indexOf(storageKey + "::") === 0).map(async key => {
+      const stored = await storage.get(key);
+      const events = Array.isArray(stored) ? stored : stored && (stored.closed || stored.updatedAt < Date.now() - 86400000) ? stored.events : null;
+      if (!events) return [];
+      await storage.delete(key);
+      return events;
+    }))).then(queues => {
+      const events = [].concat(...queues);
+      if (events.length) {
+        queue = events.concat(queue);
+        schedule(0);
+      }
+    }).catch(() => {
+      // Ignore storage errors
+    });
+    let restored = adopt();
+    const isOffline = () => !!nav && nav.onLine === false;
+    // `closed` hands the queue over to whichever tab loads next
+    const persist = closed => {
+      const events = queue.slice();
+      return Promise.resolve().then(() => events.length ? storage.set(tabKey, {
+        events,
+        closed: !!closed,
+        updatedAt: Date.now()
+      }) : storage.delete(tabKey)).catch(() => {
+        // Ignore storage errors
+      });
+    };
+    const handOver = () => {
+      const persisted = persist(true);
+      queue = [];
+      return persisted;
+    };
+    const schedule = delay => {
+      if (timer) return;
+      timer = setTimeout(() => {
+        timer = 0;
+        flush();
+      }, delay);
+    };
+    const push = event => {
+      queue.push({
+        ...event,
+        timestamp: new Date().toISOString()
+      });
+      if (queue.length >= batchSize) {
+        flush();
+      } else {
+        schedule(flushInterval);
+      }
+    };
+    async function flush() {
+      await restored;
+      if (sending || !queue.length) return;
+      if (isOffline() || !polyfills.fetch) {
+        // Keep the events until the browser comes back online
+        await persist();
+        return;
+      }
+      sending = true;
+      const batch = queue.splice(0, batchSize);
+      try {
+        const res = await polyfills.fetch(options.endpoint, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            ...options.headers
+          },
+          body: JSON.stringify({
+            events: batch
+          }),
+          keepalive: true
+        });
+        if (!res.ok) {
+          throw new Error("Tracking request failed with status ".concat(res.status));
+        }
+        errors = 0;
+        sending = false;
+        await persist();
+        if (queue.length) schedule(0);
+      } catch (e) {
+        // Put the batch back and retry with exponential backoff, with jitter
+        queue = batch.concat(queue);
+        sending = false;
+        errors++;
+        await persist();
+        const delay = Math.pow(2, errors) * (1000 + Math.random() * 1000);
+        schedule(Math.min(delay, 300000)); // 5 minutes max
+      }
+    }
+
+    // The page may be closed before the next timer fires, hand everything to sendBeacon
+    // Whatever could not be sent is handed over when the page is going away (`closing`)
+    const flushBeacon = closing => {
+      if (!queue.length) return;
+      if (nav && nav.sendBeacon && !isOffline()) {
+        const sent = nav.sendBeacon(options.endpoint, new Blob([JSON.stringify({
+          events: queue
+        })], {
+          type: "application/json"
+        }));
+        if (sent) queue = [];
+      }
+      closing ? handOver() : persist();
+    };
+    const onPageHide = () => flushBeacon(true);
+    // Pages restored from the back/forward cache pick their queue up again
+    const onPageShow = e => {
+      if (e.persisted) restored = adopt();
+    };
+    const onVisibilityChange = () => {
+      if (document.visibilityState === "hidden") flushBeacon();
+    };
+    const onOnline = () => schedule(0);
+    if (typeof window !== "undefined" && typeof document !== "undefined") {
+      window.addEventListener("pagehide", onPageHide);
+      window.addEventListener("pageshow", onPageShow);
+      window.addEventListener("online", onOnline);
+      document.addEventListener("visibilitychange", onVisibilityChange);
+    }
+    return {
+      trackExperiment: (experiment, result) => push({
+        type: "experiment_viewed",
+        experimentId: experiment.key,
+        variationId: result.key,
+        featureId: result.featureId || null,
+        hashAttribute: result.hashAttribute,
+        hashValue: result.hashValue
+      }),
+      trackFeatureUsage: (key, res) => push({
+        type: "feature_evaluated",
+        featureId: key,
+        value: res.value,
+        source: res.source,
+        ruleId: res.ruleId
+      }),
+      push,
+      flush,
+      getQueue: () => queue.slice(),
+      destroy: () => {
+        timer && clearTimeout(timer);
+        timer = 0;
+        if (typeof window !== "undefined" && typeof document !== "undefined") {
+          window.removeEventListener("pagehide", onPageHide);
+          window.removeEventListener("pageshow", onPageShow);
+          window.removeEventListener("online", onOnline);
+          document.removeEventListener("visibilitychange", onVisibilityChange);
+        }
+        return handOver();
+      }
+    };
+  }
+
+  // Feature usage aggregation
+  // Counts every evaluation per feature, value and source over a time window
+  // At the end of each window the report is passed to `sink` (if any) and the counts are reset
+  // Known features that were never evaluated, in any window, are reported as `unusedFeatures`
+  function createFeatureUsageAggregator(options) {
+    options = options || {};
+    const windowMs = options.window || 60000;
+    let counts = {};
+    let windowStart = null;
+    let timer = 0;
+    const known = new Set();
+    const evaluated = new Set();
+    const getReport = () => {
+      const features = {};
+      Object.keys(counts).forEach(key => {
+        const values = Object.keys(counts[key]).map(k => counts[key][k]);
+        features[key] = {
+          total: values.reduce((sum, v) => sum + v.count, 0),
+          values: values.map(v => ({
+            ...v
+          }))
+        };
+      });
+      return {
+        windowStart: windowStart ? windowStart.toISOString() : null,
+        windowEnd: new Date().toISOString(),
+        features,
+        unusedFeatures: Array.from(known).filter(key => !evaluated.has(key))
+      };
+    };
+    const flush = () => {
+      timer && clearTimeout(timer);
+      timer = 0;
+      const report = getReport();
+      counts = {};
+      windowStart = null;
+      if (options.sink && Object.keys(report.features).length) {
+        try {
+          options.sink(report);
+        } catch (e) {
+          console.error(e);
+        }
+      }
+      return report;
+    };
+    return {
+      record: (key, res) => {
+        if (!windowStart) {
+          windowStart = new Date();
+          timer = setTimeout(flush, windowMs);
+        }
+        const valueKey = JSON.stringify([res.value, res.source, res.ruleId]);
+        const byValue = counts[key] = counts[key] || {};
+        const entry = byValue[valueKey] = byValue[valueKey] || {
+          value: res.value,
+          source: res.source,
+          ruleId: res.ruleId,
+          count: 0
+        };
+        entry.count++;
+        evaluated.add(key);
+      },
+      // Register feature keys, so the ones that are never evaluated show up as unused
+      addFeatures: keys => {
+        keys.forEach(key => known.add(key));
+      },
+      getReport,
+      flush,
+      destroy: () => {
+        timer && clearTimeout(timer);
+        timer = 0;
       }
-    }
-    return false;
+    };
   }
 
-  // Recursive $and rule
-  function evalAnd(obj, conditions) {
-    for (let i = 0; i < conditions.length; i++) {
-      if (!evalCondition(obj, conditions[i])) {
-        return false;
+  // Anti-flicker
+  // Hides `selectors` (the whole body by default) until features are ready or `timeout` ms have passed,
+  // so auto experiment changes don't paint after the original content
+  function createAntiFlicker(options) {
+    options = options || {};
+    const selectors = options.selectors || ["body"];
+    const timeout = options.timeout != null ? options.timeout : 3000;
+    let style = null;
+    let start = 0;
+    let timer = 0;
+    const report = {
+      duration: 0,
+      reason: null
+    };
+    const reveal = reason => {
+      if (!style) return;
+      timer && clearTimeout(timer);
+      timer = 0;
+      style.remove();
+      style = null;
+      report.duration = Date.now() - start;
+      report.reason = reason || "manual";
+      if (options.onReveal) {
+        try {
+          options.onReveal({
+            ...report
+          });
+        } catch (e) {
+          console.error(e);
+        }
       }
-    }
-    return true;
+    };
+    const hide = () => {
+      if (!isBrowser || style || report.reason) return;
+      style = document.createElement("style");
+      if (options.nonce) style.setAttribute("nonce", options.nonce);
+      style.textContent = selectors.join(",") + "{opacity:0 !important}";
+      (document.head || document.documentElement).appendChild(style);
+      start = Date.now();
+      // Never hold users longer than the timeout, even if nothing else reveals the page
+      timer = setTimeout(() => reveal("timeout"), timeout);
+    };
+    // Hide until the promise settles, within whatever is left of the timeout
+    const hold = async promise => {
+      hide();
+      if (!style) return;
+      const remaining = Math.max(1, timeout - (Date.now() - start));
+      try {
+        const ready = await promiseTimeout(promise.then(() => true), remaining);
+        reveal(ready ? "ready" : "timeout");
+      } catch (e) {
+        reveal("error");
+      }
+    };
+    return {
+      hide,
+      hold,
+      reveal,
+      getReport: () => ({
+        hidden: !!style,
+        duration: style ? Date.now() - start : report.duration,
+        reason: report.reason
+      })
+    };
   }
 
   const isBrowser = typeof window !== "undefined" && typeof document !== "undefined";
+
+  // Context keys that describe a single visitor or data source
+  // These are never inherited by child instances
+  const requestScopedKeys = ["clientKey", "snapshot", "remoteEval", "enableDevMode", "subscribeToChanges", "attributes", "url", "forcedVariations", "stickyBucketAssignmentDocs", "watchNavigation", "assignments"];
+
+  // SPA navigation
+  // The History API is patched once and shared by every instance that watches navigation
+  const navigationListeners = new Set();
+  let historyPatched = false;
+  function onNavigation() {
+    navigationListeners.forEach(cb => cb());
+  }
+  function addNavigationListener(cb) {
+    navigationListeners.add(cb);
+    if (historyPatched) return;
+    historyPatched = true;
+    // pushState and replaceState don't fire any events, so wrap them
+    // They are never restored, since other scripts may have wrapped them after us
+    ["pushState", "replaceState"].forEach(method => {
+      const original = window.history[method];
+      if (typeof original !== "function") return;
+      window.history[method] = function () {
+        const res = original.apply(this, arguments);
+        onNavigation();
+        return res;
+      };
+    });
+    window.addEventListener("popstate", onNavigation);
+    window.addEventListener("hashchange", onNavigation);
+  }
+  function removeNavigationListener(cb) {
+    navigationListeners.delete(cb);
+  }
   class GrowthBook {
     // context is technically private, but some tools depend on it so we can't mangle the name
     // _ctx below is a clone of this property that we use internally
@@ -1261,6 +2837,18 @@ var growthbook = (function (exports) {
       this._attributeOverrides = {};
       this._activeAutoExperiments = new Map();
       this._loadFeaturesCalled = false;
+      this._explaining = false;
+      this._preview = null;
+      this._navigation = null;
+      this._antiFlicker = null;
+      this._stickyBucketsLoading = null;
+      // Variations assigned during server-side rendering (see getHydrationPayload), explicit forcedVariations win
+      if (context.assignments) {
+        this._ctx.forcedVariations = {
+          ...context.assignments,
+          ...context.forcedVariations
+        };
+      }
       if (context.remoteEval) {
         if (context.decryptionKey) {
           throw new Error("Encryption is not available for remoteEval");
@@ -1277,6 +2865,9 @@ var growthbook = (function (exports) {
         if (isGbHost) {
           throw new Error("Cannot use remoteEval on GrowthBook Cloud");
         }
+        if (context.snapshot) {
+          throw new Error("Snapshots are not available for remoteEval");
+        }
       } else {
         if (context.cacheKeyAttributes) {
           throw new Error("cacheKeyAttributes are only used for remoteEval");
@@ -1284,17 +2875,48 @@ var growthbook = (function (exports) {
       }
       if (context.features) {
         this.ready = true;
+        if (context.featureUsageAggregator) {
+          context.featureUsageAggregator.addFeatures(Object.keys(context.features));
+        }
       }
       if (isBrowser && context.enableDevMode) {
         window._growthbook = this;
         document.dispatchEvent(new Event("gbloaded"));
       }
+      // Auto experiments run once the sticky bucket docs are loaded
+      if (context.stickyBucketService && !context.stickyBucketAssignmentDocs) {
+        this._loadStickyBuckets();
+      }
       if (context.experiments) {
         this.ready = true;
-        this._updateAllAutoExperiments();
+        this._stickyBucketsLoading || this._updateAllAutoExperiments();
+      }
+      // Nothing to wait for when features or experiments were passed in directly
+      if (isBrowser && context.antiFlicker && !this.ready) {
+        this._antiFlicker = createAntiFlicker({
+          nonce: context.cspNonce,
+          ...context.antiFlicker
+        });
+        this._antiFlicker.hide();
       }
-      if (context.clientKey && !context.remoteEval) {
-        this._refresh({}, true, false);
+      if (context.watchNavigation) {
+        this.watchNavigation();
+      }
+      if (isBrowser && getQueryStringOverride("gb-preview", this._getContextUrl(), 2) === 1) {
+        if (document.readyState === "loading") {
+          document.addEventListener("DOMContentLoaded", () => this.enablePreview());
+        } else {
+          this.enablePreview();
+        }
+      }
+      if (context.snapshot) {
+        this._refresh({}, true, true).catch(e => {
+          console.error(e);
+        });
+      } else if (context.clientKey && !context.remoteEval) {
+        this._refresh({}, true, false).catch(() => {
+          // Errors are surfaced by loadFeatures
+        });
       }
     }
     async loadFeatures(options) {
@@ -1303,8 +2925,12 @@ var growthbook = (function (exports) {
         this._ctx.subscribeToChanges = true;
       }
       this._loadFeaturesCalled = true;
-      await this._refresh(options, true, true);
-      if (this._canSubscribe()) {
+      const loading = this._refresh(options, true, true);
+      if (this._antiFlicker) {
+        this._antiFlicker.hold(loading);
+      }
+      await loading;
+      if (this._canSubscribe() && !this._ctx.snapshot) {
         subscribe(this);
       }
     }
@@ -1334,6 +2960,19 @@ var growthbook = (function (exports) {
     }
     async _refresh(options, allowStale, updateInstance) {
       options = options || {};
+      // Offline mode: features come from a local snapshot
+      // When it can't be loaded, fall back to the API if a clientKey is configured
+      if (this._ctx.snapshot) {
+        try {
+          await refreshFromSnapshot(this, this._ctx.snapshot, updateInstance);
+          return;
+        } catch (e) {
+          if (!this._ctx.clientKey) throw e;
+          this.log("Snapshot could not be loaded, fetching features instead", {
+            error: e.message
+          });
+        }
+      }
       if (!this._ctx.clientKey) {
         throw new Error("Missing clientKey");
       }
@@ -1347,12 +2986,29 @@ var growthbook = (function (exports) {
     setFeatures(features) {
       this._ctx.features = features;
       this.ready = true;
+      if (this._ctx.featureUsageAggregator) {
+        this._ctx.featureUsageAggregator.addFeatures(Object.keys(features));
+      }
       this._render();
     }
     async setEncryptedFeatures(encryptedString, decryptionKey, subtle) {
       const featuresJSON = await decrypt(encryptedString, decryptionKey || this._ctx.decryptionKey, subtle);
       this.setFeatures(JSON.parse(featuresJSON));
     }
+    setSavedGroups(savedGroups) {
+      this._ctx.savedGroups = savedGroups;
+      this._render();
+      this._updateAllAutoExperiments();
+    }
+    async setEncryptedSavedGroups(encryptedString, decryptionKey, subtle) {
+      const savedGroupsJSON = await decrypt(encryptedString, decryptionKey || this._ctx.decryptionKey, subtle);
+      this.setSavedGroups(JSON.parse(savedGroupsJSON));
+    }
+    setLayers(layers) {
+      this._ctx.layers = layers;
+      this._render();
+      this._updateAllAutoExperiments();
+    }
     setExperiments(experiments) {
       this._ctx.experiments = experiments;
       this.ready = true;
@@ -1364,6 +3020,9 @@ var growthbook = (function (exports) {
     }
     setAttributes(attributes) {
       this._ctx.attributes = attributes;
+      if (this._ctx.stickyBucketService) {
+        this._loadStickyBuckets();
+      }
       if (this._ctx.remoteEval) {
         this._refreshForRemoteEval();
         return;
@@ -1373,6 +3032,9 @@ var growthbook = (function (exports) {
     }
     setAttributeOverrides(overrides) {
       this._attributeOverrides = overrides;
+      if (this._ctx.stickyBucketService) {
+        this._loadStickyBuckets();
+      }
       if (this._ctx.remoteEval) {
         this._refreshForRemoteEval();
         return;
@@ -1403,6 +3065,73 @@ var growthbook = (function (exports) {
       }
       this._updateAllAutoExperiments(true);
     }
+    // Keep the URL in sync with client-side navigation (History API, popstate and hashchange)
+    // Experiments are re-targeted once navigation settles for `navigationDebounce` ms
+    watchNavigation() {
+      if (!isBrowser || this._navigation) return;
+      const delay = this._ctx.navigationDebounce != null ? this._ctx.navigationDebounce : 100;
+      const navigation = {
+        url: this._getContextUrl(),
+        timer: 0,
+        listener: () => {
+          if (navigation.timer) clearTimeout(navigation.timer);
+          navigation.timer = setTimeout(() => {
+            navigation.timer = 0;
+            const url = window.location.href;
+            // Ignore replaceState calls that only update history state
+            if (url === navigation.url) return;
+            navigation.url = url;
+            this.log("Navigation detected", {
+              url
+            });
+            this.setURL(url);
+          }, delay);
+        }
+      };
+      this._navigation = navigation;
+      addNavigationListener(navigation.listener);
+    }
+    unwatchNavigation() {
+      if (!this._navigation) return;
+      removeNavigationListener(this._navigation.listener);
+      if (this._navigation.timer) clearTimeout(this._navigation.timer);
+      this._navigation = null;
+    }
+    // Load sticky bucket assignment docs for the current attributes
+    // New assignments aren't saved while docs are loading, so stored docs are never overwritten
+    async refreshStickyBuckets() {
+      if (!this._ctx.stickyBucketService) return;
+      const attributes = {};
+      const all = this.getAttributes();
+      Object.keys(all).forEach(k => {
+        if (typeof all[k] === "string" || typeof all[k] === "number") {
+          if (all[k] !== "") attributes[k] = all[k];
+        }
+      });
+      const loading = this._ctx.stickyBucketService.getAllAssignments(attributes);
+      this._stickyBucketsLoading = loading;
+      try {
+        const docs = await loading;
+        // A newer refresh (attributes changed again) wins
+        if (this._stickyBucketsLoading === loading) {
+          this._ctx.stickyBucketAssignmentDocs = docs;
+        }
+      } finally {
+        if (this._stickyBucketsLoading === loading) {
+          this._stickyBucketsLoading = null;
+        }
+      }
+    }
+    // Refresh sticky buckets without blocking the caller, then re-evaluate with the loaded docs
+    _loadStickyBuckets() {
+      return this.refreshStickyBuckets().then(() => {
+        if (this._ctx.remoteEval) return;
+        this._render();
+        this._updateAllAutoExperiments();
+      }).catch(e => {
+        console.error(e);
+      });
+    }
     getAttributes() {
       return {
         ...this._ctx.attributes,
@@ -1425,6 +3154,17 @@ var growthbook = (function (exports) {
     getExperiments() {
       return this._ctx.experiments || [];
     }
+    getSavedGroups() {
+      return this._ctx.savedGroups || {};
+    }
+    // Which experiment (if any) the user is allocated to in each layer
+    getLayerAssignments() {
+      const assignments = {};
+      Object.keys(this._ctx.layers || {}).forEach(id => {
+        assignments[id] = this._getLayerBucket(id);
+      });
+      return assignments;
+    }
     subscribe(cb) {
       this._subscriptions.add(cb);
       return () => {
@@ -1464,10 +3204,30 @@ var growthbook = (function (exports) {
         exp.undo();
       });
       this._activeAutoExperiments.clear();
+      this._removePreviewOverlay();
+      this.unwatchNavigation();
+      if (this._antiFlicker) {
+        this._antiFlicker.reveal("destroy");
+      }
     }
     setRenderer(renderer) {
       this._renderer = renderer;
     }
+
+    // Create a cheap, request-scoped instance that shares this instance's parsed payload
+    // Children never fetch features or subscribe to changes, so they can be discarded freely
+    createChild(context) {
+      const inherited = {};
+      Object.keys(this._ctx).forEach(k => {
+        if (!requestScopedKeys.includes(k)) inherited[k] = this._ctx[k];
+      });
+      return new GrowthBook({
+        ...inherited,
+        features: this.getFeatures(),
+        experiments: this.getExperiments(),
+        ...context
+      });
+    }
     forceVariation(key, variation) {
       this._ctx.forcedVariations = this._ctx.forcedVariations || {};
       this._ctx.forcedVariations[key] = variation;
@@ -1512,7 +3272,7 @@ var growthbook = (function (exports) {
 
       // Apply new changes
       if (result.inExperiment) {
-        const undo = this._applyDOMChanges(result.value);
+        const undo = this._applyDOMChanges(result.value, key);
         if (undo) {
           this._activeAutoExperiments.set(experiment.key, {
             undo,
@@ -1522,6 +3282,115 @@ var growthbook = (function (exports) {
       }
       return result;
     }
+    // Preview mode: an overlay to inspect and switch auto experiment variations locally
+    // Enabled automatically with `?gb-preview=1` in the URL
+    enablePreview() {
+      if (!isBrowser || this._preview) return;
+      const container = document.createElement("div");
+      container.id = "gb-preview";
+      container.setAttribute("style", "position:fixed;bottom:10px;right:10px;z-index:2147483647;max-height:50vh;overflow:auto;padding:8px 10px;background:#fff;color:#222;border:1px solid #ccc;border-radius:4px;box-shadow:0 2px 8px rgba(0,0,0,.2);font:12px/1.5 sans-serif");
+      const highlight = document.createElement("style");
+      if (this._ctx.cspNonce) highlight.setAttribute("nonce", this._ctx.cspNonce);
+      this._preview = {
+        // Restored when the preview is closed
+        forcedVariations: {
+          ...this.getForcedVariations()
+        },
+        container,
+        highlight,
+        highlighting: true,
+        unsubscribe: this.subscribe(() => this._renderPreview())
+      };
+      document.head.appendChild(highlight);
+      document.body.appendChild(container);
+      this._renderPreview();
+    }
+    disablePreview() {
+      const preview = this._preview;
+      if (!preview) return;
+      this._removePreviewOverlay();
+      this.setForcedVariations(preview.forcedVariations);
+    }
+
+    // Undo every active auto experiment to show the original page
+    revertPreview() {
+      Array.from(this._activeAutoExperiments.keys()).forEach(key => this._undoActiveAutoExperiment(key));
+      this._renderPreview();
+    }
+    _removePreviewOverlay() {
+      const preview = this._preview;
+      if (!preview) return;
+      preview.unsubscribe();
+      preview.container.remove();
+      preview.highlight.remove();
+      this._preview = null;
+    }
+    _renderPreview() {
+      const preview = this._preview;
+      if (!preview) return;
+      const el = (tag, text, style) => {
+        const e = document.createElement(tag);
+        if (text) e.textContent = text;
+        if (style) e.setAttribute("style", style);
+        return e;
+      };
+      const container = preview.container;
+      container.textContent = "";
+      container.appendChild(el("strong", "GrowthBook preview"));
+      const selectors = [];
+      this.getExperiments().forEach(experiment => {
+        const key = experiment.key;
+        const assigned = this._assigned.get(key);
+        const active = this._activeAutoExperiments.has(key);
+        const row = el("div", "", "margin-top:6px");
+        row.appendChild(el("div", experiment.name || key, active ? "font-weight:bold" : "color:#888"));
+        const select = el("select");
+        const none = el("option", "Not in experiment");
+        none.value = "-1";
+        select.appendChild(none);
+        experiment.variations.forEach((v, i) => {
+          const meta = experiment.meta && experiment.meta[i] || {};
+          const option = el("option", "".concat(i, ": ").concat(meta.name || meta.key || "Variation " + i));
+          option.value = "" + i;
+          select.appendChild(option);
+        });
+        select.value = assigned && assigned.result.inExperiment && active ? "" + assigned.result.variationId : "-1";
+        select.addEventListener("change", () => {
+          // Forcing -1 keeps the experiment off until the preview is closed
+          const variation = parseInt(select.value);
+          this.forceVariation(key, variation);
+          variation >= 0 && experiment.manual && this.triggerExperiment(key);
+        });
+        row.appendChild(select);
+        container.appendChild(row);
+
+        // Collect the elements touched by the active variation
+        if (active && assigned && assigned.result.value && assigned.result.value.domMutations) {
+          assigned.result.value.domMutations.forEach(m => {
+            m.selector && selectors.push(m.selector);
+          });
+        }
+      });
+      const controls = el("div", "", "margin-top:8px");
+      const label = el("label", " Highlight changes");
+      const checkbox = el("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = preview.highlighting;
+      checkbox.addEventListener("change", () => {
+        preview.highlighting = checkbox.checked;
+        this._renderPreview();
+      });
+      label.insertBefore(checkbox, label.firstChild);
+      controls.appendChild(label);
+      const revert = el("button", "Original", "margin-left:8px");
+      revert.addEventListener("click", () => this.revertPreview());
+      controls.appendChild(revert);
+      const close = el("button", "Close", "margin-left:4px");
+      close.addEventListener("click", () => this.disablePreview());
+      controls.appendChild(close);
+      container.appendChild(controls);
+      preview.highlight.textContent = preview.highlighting && selectors.length ? selectors.join(",") + "{outline:2px dashed #e91e63 !important;outline-offset:2px}" : "";
+    }
     _undoActiveAutoExperiment(key) {
       const exp = this._activeAutoExperiments.get(key);
       if (exp) {
@@ -1547,6 +3416,7 @@ var growthbook = (function (exports) {
       });
     }
     _fireSubscriptions(experiment, result) {
+      if (this._explaining) return;
       const key = experiment.key;
 
       // If assigned variation has changed, fire subscriptions
@@ -1568,13 +3438,18 @@ var growthbook = (function (exports) {
     }
     _trackFeatureUsage(key, res) {
       // Don't track feature usage that was forced via an override
-      if (res.source === "override") return;
+      if (res.source === "override" || this._explaining) return;
 
       // Only track a feature once, unless the assigned value changed
       const stringifiedValue = JSON.stringify(res.value);
       if (this._trackedFeatures[key] === stringifiedValue) return;
       this._trackedFeatures[key] = stringifiedValue;
 
+      // Queue the event in the built-in tracking transport
+      if (this._ctx.trackingTransport) {
+        this._ctx.trackingTransport.trackFeatureUsage(key, res);
+      }
+
       // Fire user-supplied callback
       if (this._ctx.onFeatureUsage) {
         try {
@@ -1619,10 +3494,25 @@ var growthbook = (function (exports) {
       if (experiment) ret.experiment = experiment;
       if (result) ret.experimentResult = result;
 
+      // Count every evaluation in the local usage aggregator
+      if (this._ctx.featureUsageAggregator && !this._explaining) {
+        this._ctx.featureUsageAggregator.record(key, ret);
+      }
+
       // Track the usage of this feature in real-time
       this._trackFeatureUsage(key, ret);
       return ret;
     }
+
+    // Evaluation counts for the current window, plus the known features that were never evaluated
+    getFeatureUsageReport() {
+      if (!this._ctx.featureUsageAggregator) return null;
+      return this._ctx.featureUsageAggregator.getReport();
+    }
+    // How long the anti-flicker controller held the page, and why it was revealed
+    getAntiFlickerReport() {
+      return this._antiFlicker ? this._antiFlicker.getReport() : null;
+    }
     isOn(key) {
       return this.evalFeature(key).on;
     }
@@ -1643,6 +3533,26 @@ var growthbook = (function (exports) {
       return this.evalFeature(id);
     }
     evalFeature(id) {
+      return this._evalFeature(id, new Set());
+    }
+
+    // `stack` holds the features currently being evaluated, used to detect prerequisite cycles
+    _evalFeature(id, stack) {
+      if (stack.has(id)) {
+        this.log("Cyclic prerequisite detected, stack:", {
+          id,
+          stack: Array.from(stack)
+        });
+        return this._getFeatureResult(id, null, "cyclicPrerequisite");
+      }
+      stack.add(id);
+      const res = this._evalFeatureRules(id, stack);
+      stack.delete(id);
+      return res;
+    }
+    // `onRule(rule, skipReason, details)` is called for every rule that was looked at (used by explainFeature)
+    // `skipReason` is empty for the rule that produced the value
+    _evalFeatureRules(id, stack, onRule) {
       // Global override
       if (this._forcedFeatureValues.has(id)) {
         return this._getFeatureResult(id, this._forcedFeatureValues.get(id), "override");
@@ -1661,10 +3571,30 @@ var growthbook = (function (exports) {
         for (const rule of feature.rules) {
           // If it's a conditional rule, skip if the condition doesn't pass
           if (rule.condition && !this._conditionPasses(rule.condition)) {
+            onRule && onRule(rule, "condition");
             continue;
           }
+          // If the rule depends on other features, skip (or block) when they don't pass
+          if (rule.parentConditions) {
+            const prerequisite = this._evalPrerequisites(rule.parentConditions, stack);
+            if (prerequisite !== "pass") {
+              onRule && onRule(rule, "prerequisite", {
+                prerequisites: prerequisite
+              });
+            }
+            if (prerequisite === "cyclic") {
+              return this._getFeatureResult(id, null, "cyclicPrerequisite", rule.id);
+            }
+            if (prerequisite === "gate") {
+              return this._getFeatureResult(id, null, "prerequisite", rule.id);
+            }
+            if (prerequisite === "fail") {
+              continue;
+            }
+          }
           // If there are filters for who is included (e.g. namespaces)
           if (rule.filters && this._isFilteredOut(rule.filters)) {
+            onRule && onRule(rule, "filters");
             continue;
           }
 
@@ -1672,8 +3602,10 @@ var growthbook = (function (exports) {
           if ("force" in rule) {
             // If this is a percentage rollout, skip if not included
             if (!this._isIncludedInRollout(rule.seed || id, rule.hashAttribute, rule.range, rule.coverage, rule.hashVersion)) {
+              onRule && onRule(rule, "rollout");
               continue;
             }
+            onRule && onRule(rule, "");
 
             // If this was a remotely evaluated experiment, fire the tracking callbacks
             if (rule.tracks) {
@@ -1684,29 +3616,21 @@ var growthbook = (function (exports) {
             return this._getFeatureResult(id, rule.force, "force", rule.id);
           }
           if (!rule.variations) {
+            onRule && onRule(rule, "invalidRule");
             continue;
           }
           // For experiment rules, run an experiment
-          const exp = {
-            variations: rule.variations,
-            key: rule.key || id
-          };
-          if ("coverage" in rule) exp.coverage = rule.coverage;
-          if (rule.weights) exp.weights = rule.weights;
-          if (rule.hashAttribute) exp.hashAttribute = rule.hashAttribute;
-          if (rule.namespace) exp.namespace = rule.namespace;
-          if (rule.meta) exp.meta = rule.meta;
-          if (rule.ranges) exp.ranges = rule.ranges;
-          if (rule.name) exp.name = rule.name;
-          if (rule.phase) exp.phase = rule.phase;
-          if (rule.seed) exp.seed = rule.seed;
-          if (rule.hashVersion) exp.hashVersion = rule.hashVersion;
-          if (rule.filters) exp.filters = rule.filters;
+          const exp = this._getExperimentFromRule(id, rule);
 
           // Only return a value if the user is part of the experiment
-          const res = this._run(exp, id);
+          const res = this._run(exp, id, stack);
           this._fireSubscriptions(exp, res);
-          if (res.inExperiment && !res.passthrough) {
+          const included = res.inExperiment && !res.passthrough;
+          onRule && onRule(rule, included ? "" : res.passthrough ? "passthrough" : "notInExperiment", {
+            experiment: exp,
+            result: res
+          });
+          if (included) {
             return this._getFeatureResult(id, res.value, "experiment", rule.id, exp, res);
           }
         }
@@ -1715,6 +3639,132 @@ var growthbook = (function (exports) {
       // Fall back to using the default value
       return this._getFeatureResult(id, feature.defaultValue === undefined ? null : feature.defaultValue, "defaultValue");
     }
+    _getExperimentFromRule(id, rule) {
+      const exp = {
+        variations: rule.variations,
+        key: rule.key || id
+      };
+      if ("coverage" in rule) exp.coverage = rule.coverage;
+      if (rule.weights) exp.weights = rule.weights;
+      if (rule.hashAttribute) exp.hashAttribute = rule.hashAttribute;
+      if (rule.namespace) exp.namespace = rule.namespace;
+      if (rule.meta) exp.meta = rule.meta;
+      if (rule.ranges) exp.ranges = rule.ranges;
+      if (rule.name) exp.name = rule.name;
+      if (rule.phase) exp.phase = rule.phase;
+      if (rule.seed) exp.seed = rule.seed;
+      if (rule.hashVersion) exp.hashVersion = rule.hashVersion;
+      if (rule.filters) exp.filters = rule.filters;
+      if (rule.fallbackAttribute) exp.fallbackAttribute = rule.fallbackAttribute;
+      if (rule.disableStickyBucketing) exp.disableStickyBucketing = rule.disableStickyBucketing;
+      if (rule.bucketVersion !== undefined) exp.bucketVersion = rule.bucketVersion;
+      if (rule.minBucketVersion !== undefined) exp.minBucketVersion = rule.minBucketVersion;
+      return exp;
+    }
+
+    // Evaluate the parent features a rule or experiment depends on
+    // Returns "pass", "fail", "gate" (a gating parent failed, block evaluation) or "cyclic"
+    _evalPrerequisites(parentConditions, stack) {
+      for (const parent of parentConditions) {
+        const parentRes = this._evalFeature(parent.id, stack);
+        if (parentRes.source === "cyclicPrerequisite") {
+          return "cyclic";
+        }
+        const passed = parent.condition ? evalCondition({
+          value: parentRes.value
+        }, parent.condition, this.getSavedGroups()) : parentRes.on;
+        if (!passed) {
+          this.log("Prerequisite feature did not pass", {
+            id: parent.id,
+            value: parentRes.value
+          });
+          return parent.gate ? "gate" : "fail";
+        }
+      }
+      return "pass";
+    }
+
+    // Explain, rule by rule, how a feature evaluates for the current attributes
+    // Has no side effects: tracking callbacks, subscriptions and sticky bucket writes are skipped
+    explainFeature(id) {
+      this._explaining = true;
+      try {
+        return this._explainFeature(id);
+      } finally {
+        this._explaining = false;
+      }
+    }
+    _explainFeature(id) {
+      const rules = [];
+      const res = this._evalFeatureRules(id, new Set([id]), (rule, skipReason, details) => {
+        rules.push(this._explainRule(id, rule, skipReason, details || {}));
+      });
+      return {
+        id,
+        value: res.value,
+        source: res.source,
+        ruleId: res.ruleId,
+        rules
+      };
+    }
+    // Trace of a single rule, the steps after the one that skipped the rule are left out
+    _explainRule(id, rule, skipReason, details) {
+      const trace = {
+        id: rule.id || "",
+        type: "force" in rule ? "force" : rule.variations ? "experiment" : "unknown",
+        matched: !skipReason
+      };
+      if (rule.condition) {
+        const failure = getConditionFailure(this.getAttributes(), rule.condition, this.getSavedGroups());
+        trace.condition = {
+          passed: !failure,
+          failure
+        };
+      }
+      if (rule.parentConditions && skipReason !== "condition") {
+        trace.prerequisites = details.prerequisites || "pass";
+      }
+      if (rule.filters && skipReason !== "condition" && skipReason !== "prerequisite") {
+        trace.filteredOut = skipReason === "filters";
+      }
+      const exp = details.experiment;
+      if (exp) {
+        const res = details.result;
+        const {
+          hashAttribute,
+          hashValue
+        } = this._getHashAttribute(exp.hashAttribute, this._useStickyBucketing(exp) ? exp.fallbackAttribute : undefined);
+        trace.experimentKey = exp.key;
+        trace.hashAttribute = hashAttribute;
+        trace.hashValue = hashValue;
+        if (hashValue) {
+          if (exp.namespace && !exp.filters) {
+            trace.namespaceExcluded = !inNamespace(hashValue, exp.namespace);
+          }
+          trace.hash = hash(exp.seed || exp.key, hashValue, exp.hashVersion || 1);
+          trace.ranges = exp.ranges || getBucketRanges(exp.variations.length, exp.coverage === undefined ? 1 : exp.coverage, exp.weights);
+        }
+        trace.inExperiment = res.inExperiment;
+        trace.variationId = res.variationId;
+        trace.stickyBucketUsed = res.stickyBucketUsed;
+        if (res.inExperiment && trace.ranges) {
+          trace.range = trace.ranges[res.variationId];
+        }
+      } else if ("force" in rule && (!skipReason || skipReason === "rollout")) {
+        const {
+          hashAttribute,
+          hashValue
+        } = this._getHashAttribute(rule.hashAttribute);
+        trace.hashAttribute = hashAttribute;
+        trace.hashValue = hashValue;
+        if (rule.range || rule.coverage !== undefined) {
+          trace.hash = hashValue ? hash(rule.seed || id, hashValue, rule.hashVersion || 1) : null;
+          trace.range = rule.range || [0, rule.coverage];
+        }
+      }
+      if (skipReason) trace.skipReason = skipReason;
+      return trace;
+    }
     _isIncludedInRollout(seed, hashAttribute, range, coverage, hashVersion) {
       if (!range && coverage === undefined) return true;
       const {
@@ -1728,7 +3778,7 @@ var growthbook = (function (exports) {
       return range ? inRange(n, range) : coverage !== undefined ? n <= coverage : true;
     }
     _conditionPasses(condition) {
-      return evalCondition(this.getAttributes(), condition);
+      return evalCondition(this.getAttributes(), condition, this.getSavedGroups());
     }
     _isFilteredOut(filters) {
       return filters.some(filter => {
@@ -1741,7 +3791,7 @@ var growthbook = (function (exports) {
         return !filter.ranges.some(r => inRange(n, r));
       });
     }
-    _run(experiment, featureId) {
+    _run(experiment, featureId, stack) {
       const key = experiment.key;
       const numVariations = experiment.variations.length;
 
@@ -1776,35 +3826,66 @@ var growthbook = (function (exports) {
       }
 
       // 6. Get the hash attribute and return if empty
+      const useStickyBucketing = this._useStickyBucketing(experiment);
       const {
         hashValue
-      } = this._getHashAttribute(experiment.hashAttribute);
+      } = this._getHashAttribute(experiment.hashAttribute, useStickyBucketing ? experiment.fallbackAttribute : undefined);
       if (!hashValue) {
         return this._getResult(experiment, -1, false, featureId);
       }
 
-      // 7. Exclude if user is filtered out (used to be called "namespace")
-      if (experiment.filters) {
-        if (this._isFilteredOut(experiment.filters)) {
-          return this._getResult(experiment, -1, false, featureId);
+      // 6.5. Use a previously saved sticky bucket assignment if one exists
+      let assigned = -1;
+      let foundStickyBucket = false;
+      if (useStickyBucketing) {
+        const {
+          variation,
+          versionIsBlocked
+        } = this._getStickyBucketVariation(experiment);
+        // The user was bucketed into a version that is no longer allowed
+        if (versionIsBlocked) {
+          return this._getResult(experiment, -1, false, featureId, undefined, true);
         }
-      } else if (experiment.namespace && !inNamespace(hashValue, experiment.namespace)) {
-        return this._getResult(experiment, -1, false, featureId);
+        assigned = variation;
+        foundStickyBucket = variation >= 0;
       }
 
-      // 7.5. Exclude if experiment.include returns false or throws
-      if (experiment.include && !isIncluded(experiment.include)) {
-        return this._getResult(experiment, -1, false, featureId);
-      }
+      // Users with a sticky bucket skip targeting so their assignment never changes
+      if (!foundStickyBucket) {
+        // 7. Exclude if user is filtered out (used to be called "namespace")
+        if (experiment.filters) {
+          if (this._isFilteredOut(experiment.filters)) {
+            return this._getResult(experiment, -1, false, featureId);
+          }
+        } else if (experiment.namespace && !inNamespace(hashValue, experiment.namespace)) {
+          return this._getResult(experiment, -1, false, featureId);
+        }
 
-      // 8. Exclude if condition is false
-      if (experiment.condition && !this._conditionPasses(experiment.condition)) {
-        return this._getResult(experiment, -1, false, featureId);
-      }
+        // 7.5. Exclude if experiment.include returns false or throws
+        if (experiment.include && !isIncluded(experiment.include)) {
+          return this._getResult(experiment, -1, false, featureId);
+        }
 
-      // 8.1. Exclude if user is not in a required group
-      if (experiment.groups && !this._hasGroupOverlap(experiment.groups)) {
-        return this._getResult(experiment, -1, false, featureId);
+        // 8. Exclude if condition is false
+        if (experiment.condition && !this._conditionPasses(experiment.condition)) {
+          return this._getResult(experiment, -1, false, featureId);
+        }
+
+        // 8.05. Exclude if prerequisite features don't pass
+        if (experiment.parentConditions && this._evalPrerequisites(experiment.parentConditions, stack || new Set()) !== "pass") {
+          return this._getResult(experiment, -1, false, featureId);
+        }
+
+        // 8.1. Exclude if user is not in a required group
+        if (experiment.groups && !this._hasGroupOverlap(experiment.groups)) {
+          return this._getResult(experiment, -1, false, featureId);
+        }
+
+        // 8.15. Exclude if the user's slice of the experiment's layer belongs to another experiment
+        const layer = this._getExperimentLayer(key);
+        if (layer && this._getLayerBucket(layer.id) !== key) {
+          return this._getResult(experiment, -1, false, featureId);
+        }
       }
 
       // 8.2. Old style URL targeting
@@ -1817,13 +3898,16 @@ var growthbook = (function (exports) {
         return this._getResult(experiment, -1, false, featureId);
       }
 
-      // 9. Get bucket ranges and choose variation
-      const n = hash(experiment.seed || key, hashValue, experiment.hashVersion || 1);
-      if (n === null) {
-        return this._getResult(experiment, -1, false, featureId);
+      // 9. Get bucket ranges and choose variation (unless a sticky bucket was found)
+      let n;
+      if (!foundStickyBucket) {
+        n = hash(experiment.seed || key, hashValue, experiment.hashVersion || 1);
+        if (n === null) {
+          return this._getResult(experiment, -1, false, featureId);
+        }
+        const ranges = experiment.ranges || getBucketRanges(numVariations, experiment.coverage === undefined ? 1 : experiment.coverage, experiment.weights);
+        assigned = chooseVariation(n, ranges);
       }
-      const ranges = experiment.ranges || getBucketRanges(numVariations, experiment.coverage === undefined ? 1 : experiment.coverage, experiment.weights);
-      const assigned = chooseVariation(n, ranges);
 
       // 10. Return if not in experiment
       if (assigned < 0) {
@@ -1846,7 +3930,12 @@ var growthbook = (function (exports) {
       }
 
       // 13. Build the result object
-      const result = this._getResult(experiment, assigned, true, featureId, n);
+      const result = this._getResult(experiment, assigned, true, featureId, n, foundStickyBucket);
+
+      // 13.5. Persist the assignment so it survives attribute changes
+      if (useStickyBucketing) {
+        this._saveStickyBucketAssignment(experiment, result);
+      }
 
       // 14. Fire the tracking callback
       this._track(experiment, result);
@@ -1857,13 +3946,17 @@ var growthbook = (function (exports) {
       if (this._ctx.log) this._ctx.log(msg, ctx);else console.log(msg, ctx);
     }
     _track(experiment, result) {
-      if (!this._ctx.trackingCallback) return;
+      if (!this._ctx.trackingCallback && !this._ctx.trackingTransport || this._explaining) return;
       const key = experiment.key;
 
       // Make sure a tracking callback is only fired once per unique experiment
       const k = result.hashAttribute + result.hashValue + key + result.variationId;
       if (this._trackedExperiments.has(k)) return;
       this._trackedExperiments.add(k);
+      if (this._ctx.trackingTransport) {
+        this._ctx.trackingTransport.trackExperiment(experiment, result);
+      }
+      if (!this._ctx.trackingCallback) return;
       try {
         this._ctx.trackingCallback(experiment, result);
       } catch (e) {
@@ -1883,22 +3976,104 @@ var growthbook = (function (exports) {
       }
       return experiment;
     }
-    _getHashAttribute(attr) {
-      const hashAttribute = attr || "id";
-      let hashValue = "";
-      if (this._attributeOverrides[hashAttribute]) {
-        hashValue = this._attributeOverrides[hashAttribute];
-      } else if (this._ctx.attributes) {
-        hashValue = this._ctx.attributes[hashAttribute] || "";
-      } else if (this._ctx.user) {
-        hashValue = this._ctx.user[hashAttribute] || "";
+    _getHashAttribute(attr, fallback) {
+      let hashAttribute = attr || "id";
+      let hashValue = this._getAttributeValue(hashAttribute);
+
+      // If the primary attribute is empty, try the fallback (used for sticky bucketing)
+      if (!hashValue && fallback) {
+        hashAttribute = fallback;
+        hashValue = this._getAttributeValue(fallback);
       }
       return {
         hashAttribute,
         hashValue
       };
     }
-    _getResult(experiment, variationIndex, hashUsed, featureId, bucket) {
+    _getAttributeValue(attr) {
+      if (this._attributeOverrides[attr]) {
+        return this._attributeOverrides[attr];
+      } else if (this._ctx.attributes) {
+        return this._ctx.attributes[attr] || "";
+      } else if (this._ctx.user) {
+        return this._ctx.user[attr] || "";
+      }
+      return "";
+    }
+    _useStickyBucketing(experiment) {
+      return !!this._ctx.stickyBucketService && !!this._ctx.stickyBucketAssignmentDocs && !experiment.disableStickyBucketing;
+    }
+
+    // Merge the assignments saved for the fallback and the primary hash attribute (primary wins)
+    _getStickyBucketAssignments(experiment) {
+      const docs = this._ctx.stickyBucketAssignmentDocs || {};
+      const assignments = {};
+      [experiment.fallbackAttribute, experiment.hashAttribute || "id"].forEach(attr => {
+        if (!attr) return;
+        const value = this._getAttributeValue(attr);
+        const doc = value ? docs[getStickyBucketDocKey(attr, value)] : null;
+        if (doc) Object.assign(assignments, doc.assignments);
+      });
+      return assignments;
+    }
+    _getStickyBucketVariation(experiment) {
+      const assignments = this._getStickyBucketAssignments(experiment);
+
+      // Block users that were bucketed into a version older than minBucketVersion
+      const minBucketVersion = experiment.minBucketVersion || 0;
+      for (let i = 0; i < minBucketVersion; i++) {
+        if (getStickyBucketExperimentKey(experiment.key, i) in assignments) {
+          return {
+            variation: -1,
+            versionIsBlocked: true
+          };
+        }
+      }
+      const variationKey = assignments[getStickyBucketExperimentKey(experiment.key, experiment.bucketVersion)];
+      if (variationKey === undefined) {
+        return {
+          variation: -1
+        };
+      }
+      const meta = experiment.meta || [];
+      for (let i = 0; i < experiment.variations.length; i++) {
+        if ((meta[i] && meta[i].key || "" + i) === variationKey) {
+          return {
+            variation: i
+          };
+        }
+      }
+      return {
+        variation: -1
+      };
+    }
+    _saveStickyBucketAssignment(experiment, result) {
+      if (this._explaining || this._stickyBucketsLoading) return;
+      const docs = this._ctx.stickyBucketAssignmentDocs;
+      const experimentKey = getStickyBucketExperimentKey(experiment.key, experiment.bucketVersion);
+      // Save under the attribute used for hashing and the fallback, so either one finds it later
+      [result.hashAttribute, experiment.fallbackAttribute].forEach(attr => {
+        if (!attr) return;
+        const value = this._getAttributeValue(attr);
+        if (!value) return;
+        const docKey = getStickyBucketDocKey(attr, value);
+        const existing = docs[docKey];
+        if (existing && existing.assignments[experimentKey] === result.key) return;
+        const doc = {
+          attributeName: attr,
+          attributeValue: value,
+          assignments: {
+            ...(existing ? existing.assignments : {}),
+            [experimentKey]: result.key
+          }
+        };
+        docs[docKey] = doc;
+        Promise.resolve(this._ctx.stickyBucketService.saveAssignments(doc)).catch(e => {
+          console.error(e);
+        });
+      });
+    }
+    _getResult(experiment, variationIndex, hashUsed, featureId, bucket, stickyBucketUsed) {
       let inExperiment = true;
       // If assigned variation is not valid, use the baseline and mark the user as not in the experiment
       if (variationIndex < 0 || variationIndex >= experiment.variations.length) {
@@ -1908,7 +4083,7 @@ var growthbook = (function (exports) {
       const {
         hashAttribute,
         hashValue
-      } = this._getHashAttribute(experiment.hashAttribute);
+      } = this._getHashAttribute(experiment.hashAttribute, this._useStickyBucketing(experiment) ? experiment.fallbackAttribute : undefined);
       const meta = experiment.meta ? experiment.meta[variationIndex] : {};
       const res = {
         key: meta.key || "" + variationIndex,
@@ -1918,10 +4093,13 @@ var growthbook = (function (exports) {
         variationId: variationIndex,
         value: experiment.variations[variationIndex],
         hashAttribute,
-        hashValue
+        hashValue,
+        stickyBucketUsed: !!stickyBucketUsed
       };
       if (meta.name) res.name = meta.name;
       if (bucket !== undefined) res.bucket = bucket;
+      const layer = this._getExperimentLayer(experiment.key);
+      if (layer) res.layer = layer.id;
       if (meta.passthrough) res.passthrough = meta.passthrough;
       return res;
     }
@@ -1936,6 +4114,61 @@ var growthbook = (function (exports) {
       if (urlRegex.test(pathOnly)) return true;
       return false;
     }
+    // Script injection can be turned off entirely, or limited to an allowlist of experiments
+    _canInjectJS(experimentKey) {
+      if (this._ctx.disableJsInjection) {
+        this.log("Skipping JS injection, disabled in context", {
+          experimentKey
+        });
+        return false;
+      }
+      const allowlist = this._ctx.jsInjectionAllowlist;
+      if (allowlist && !allowlist.includes(experimentKey)) {
+        this.log("Skipping JS injection, experiment not in allowlist", {
+          experimentKey
+        });
+        return false;
+      }
+      return true;
+    }
+    _createScript(js, nonce) {
+      const script = document.createElement("script");
+      if (nonce) script.setAttribute("nonce", nonce);
+      try {
+        // With Trusted Types enforced, the script source must come from a policy
+        const policy = this._ctx.trustedTypesPolicy;
+        script.textContent = policy ? policy.createScript(js) : js;
+      } catch (e) {
+        console.error(e);
+        return null;
+      }
+      return script;
+    }
+    _getExperimentLayer(key) {
+      const layers = this._ctx.layers;
+      if (!layers) return null;
+      for (const id of Object.keys(layers)) {
+        const slices = getLayerSlices(layers[id]);
+        if (key in slices) return {
+          id,
+          range: slices[key]
+        };
+      }
+      return null;
+    }
+    // The experiment whose slice of the layer the user falls into (null if none)
+    _getLayerBucket(id) {
+      const layer = this._ctx.layers && this._ctx.layers[id];
+      if (!layer) return null;
+      const {
+        hashValue
+      } = this._getHashAttribute(layer.hashAttribute);
+      if (!hashValue) return null;
+      const n = hash(layer.seed || "__layer__" + id, hashValue, layer.hashVersion || 2);
+      if (n === null) return null;
+      const slices = getLayerSlices(layer);
+      return Object.keys(slices).find(key => slices[key] && inRange(n, slices[key])) || null;
+    }
     _hasGroupOverlap(expGroups) {
       const groups = this._ctx.groups || {};
       for (let i = 0; i < expGroups.length; i++) {
@@ -1943,20 +4176,24 @@ var growthbook = (function (exports) {
       }
       return false;
     }
-    _applyDOMChanges(changes) {
+    _applyDOMChanges(changes, experimentKey) {
       if (!isBrowser) return;
       const undo = [];
+      // Inline styles and scripts need the page's nonce to pass a Content-Security-Policy
+      const nonce = this._ctx.cspNonce;
       if (changes.css) {
         const s = document.createElement("style");
-        s.innerHTML = changes.css;
+        if (nonce) s.setAttribute("nonce", nonce);
+        s.textContent = changes.css;
         document.head.appendChild(s);
         undo.push(() => s.remove());
       }
-      if (changes.js) {
-        const script = document.createElement("script");
-        script.innerHTML = changes.js;
-        document.body.appendChild(script);
-        undo.push(() => script.remove());
+      if (changes.js && this._canInjectJS(experimentKey)) {
+        const script = this._createScript(changes.js, nonce);
+        if (script) {
+          document.body.appendChild(script);
+          undo.push(() => script.remove());
+        }
       }
       if (changes.domMutations) {
         changes.domMutations.forEach(mutation => {
@@ -1969,11 +4206,65 @@ var growthbook = (function (exports) {
     }
   }
 
+  // Server-side evaluation
+  // A single root instance owns the feature payload, every request gets its own child
+  function createServerEvaluator(context) {
+    const root = new GrowthBook({
+      ...context,
+      enableDevMode: false
+    });
+    return {
+      root,
+      loadFeatures: options => root.loadFeatures(options),
+      createInstance: requestContext => root.createChild(requestContext),
+      getHydrationPayload,
+      serializeHydrationPayload,
+      destroy: () => root.destroy()
+    };
+  }
+
+  // Everything the client needs to render the same variations without waiting for a fetch
+  // Spread it into the client context: `assignments` keeps the server's variations even if the client hashes differently
+  function getHydrationPayload(instance) {
+    const assignments = {};
+    instance.getAllResults().forEach((v, key) => {
+      if (v.result.inExperiment) assignments[key] = v.result.variationId;
+    });
+    return {
+      attributes: instance.getAttributes(),
+      features: instance.getFeatures(),
+      experiments: instance.getExperiments(),
+      savedGroups: instance.getSavedGroups(),
+      assignments
+    };
+  }
+
+  // JSON that is safe to embed inside an inline <script> tag
+  function serializeHydrationPayload(instance) {
+    return JSON.stringify(getHydrationPayload(instance)).replace(/</g, "\\u003c").replace(/\u2028/g, "\\u2028").replace(/\u2029/g, "\\u2029");
+  }
+
+  exports.FeatureFetchError = FeatureFetchError;
   exports.GrowthBook = GrowthBook;
   exports.clearCache = clearCache;
   exports.configureCache = configureCache;
+  exports.configureFetch = configureFetch;
+  exports.createAntiFlicker = createAntiFlicker;
+  exports.createCookieStorage = createCookieStorage;
+  exports.createFeatureUsageAggregator = createFeatureUsageAggregator;
+  exports.createFileSystemStorage = createFileSystemStorage;
+  exports.createIndexedDBStorage = createIndexedDBStorage;
+  exports.createLocalStorageStorage = createLocalStorageStorage;
+  exports.createMemoryStorage = createMemoryStorage;
+  exports.createServerEvaluator = createServerEvaluator;
+  exports.createSnapshot = createSnapshot;
+  exports.createStickyBucketService = createStickyBucketService;
+  exports.createTrackingTransport = createTrackingTransport;
+  exports.exportSnapshot = exportSnapshot;
+  exports.getHydrationPayload = getHydrationPayload;
   exports.helpers = helpers;
   exports.isURLTargeted = isURLTargeted;
+  exports.serializeHydrationPayload = serializeHydrationPayload;
   exports.setPolyfills = setPolyfills;
 
   Object.defineProperty(exports, '__esModule', { value: true });
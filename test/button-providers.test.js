@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const { JSDOM } = require("jsdom");
+const { prerender } = require("../b_files/button-prerender");
+
+const responses = {
+  "/projects/group%2Fproject": { star_count: 1234, web_url: "https://gitlab.example.com/group/project" },
+  "/repos/owner/repo": { stars_count: 1, html_url: "https://gitea.example.com/owner/repo" },
+  "/repos/owner/repo/releases/latest": { tag_name: "v1.2.0" }
+};
+
+// Forge API stand-in, answers the count requests the buttons send
+function startServer() {
+  const server = http.createServer((req, res) => {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Content-Type", "application/json");
+    if (!responses[req.url]) {
+      res.statusCode = 404;
+      res.end("{}");
+      return;
+    }
+    res.end(JSON.stringify(responses[req.url]));
+  });
+  return new Promise(resolve => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+let server;
+let apiBaseURL;
+
+test.before(async () => {
+  server = await startServer();
+  apiBaseURL = "http://127.0.0.1:" + server.address().port;
+});
+
+test.after(() => server.close());
+
+// Prerender `hrefs` as count buttons, returns the shadow root content of each
+async function render(hrefs) {
+  const html = await prerender(
+    "<body>" + hrefs.map(href => '<a class="github-button" href="' + href + '" data-show-count="true">Star</a>').join("") + "</body>",
+    {
+      providers: {
+        "github.com": { type: "github", apiBaseURL },
+        "gitlab.example.com": { type: "gitlab", apiBaseURL },
+        "gitea.example.com": { type: "gitea", apiBaseURL }
+      }
+    }
+  );
+  const document = new JSDOM(html).window.document;
+  return Array.from(document.querySelectorAll(".github-button-static > template")).map(template => template.content);
+}
+
+test("GitLab stargazers count", async () => {
+  const [widget] = await render(["https://gitlab.example.com/group/project"]);
+  const count = widget.querySelector(".social-count");
+  assert.strictEqual(count.textContent, "1,234");
+  assert.strictEqual(count.getAttribute("href"), "https://gitlab.example.com/group/project/-/starrers");
+  assert.strictEqual(count.getAttribute("aria-label"), "1234 stargazers on GitLab");
+});
+
+test("Gitea stargazers and latest release counts", async () => {
+  const [stars, release] = await render([
+    "https://gitea.example.com/owner/repo",
+    "https://gitea.example.com/owner/repo/releases/latest"
+  ]);
+  let count = stars.querySelector(".social-count");
+  assert.strictEqual(count.textContent, "1");
+  assert.strictEqual(count.getAttribute("href"), "https://gitea.example.com/owner/repo/stars");
+  assert.strictEqual(count.getAttribute("aria-label"), "1 stargazer on Gitea");
+
+  count = release.querySelector(".social-count");
+  assert.strictEqual(count.textContent, "v1.2.0");
+  assert.strictEqual(count.getAttribute("href"), "https://gitea.example.com/owner/repo");
+  assert.strictEqual(count.getAttribute("aria-label"), "Latest release v1.2.0 on Gitea");
+});
+
+test("only GitHub buttons get the GitHub mark by default", async () => {
+  const [gitlab, gitea, github] = await render([
+    "https://gitlab.example.com/group/project",
+    "https://gitea.example.com/owner/repo",
+    "https://github.com/owner/repo/fork"
+  ]);
+  assert.strictEqual(gitlab.querySelector(".btn svg"), null);
+  assert.strictEqual(gitea.querySelector(".btn svg"), null);
+  assert.strictEqual(gitlab.querySelector(".btn").textContent, "Star");
+  assert.ok(github.querySelector(".btn svg").classList.contains("octicon-mark-github"));
+});
@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadGrowthBook, createMemoryStorage } = require("./growthbook");
+
+function setup(storage, features) {
+  const sdk = loadGrowthBook();
+  let requests = 0;
+  sdk.setPolyfills({
+    fetch: async () => {
+      requests++;
+      return {
+        ok: true,
+        status: 200,
+        headers: { get: () => null },
+        json: async () => ({ features })
+      };
+    },
+    localStorage: undefined,
+    EventSource: undefined
+  });
+  sdk.configureCache({ storage, backgroundSync: false });
+  return { sdk, requests: () => requests };
+}
+
+// Persistent writes are not awaited by loadFeatures
+const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+
+test("copies sharing a storage keep each other's entries", async () => {
+  const storage = createMemoryStorage();
+  const a = setup(storage, { flag: { defaultValue: "a" } });
+  const b = setup(storage, { flag: { defaultValue: "b" } });
+
+  const gbA = new a.sdk.GrowthBook({ apiHost: "http://x", clientKey: "ka" });
+  await gbA.loadFeatures();
+  await settle();
+  const gbB = new b.sdk.GrowthBook({ apiHost: "http://x", clientKey: "kb" });
+  await gbB.loadFeatures();
+  await settle();
+  await gbA.refreshFeatures({ skipCache: true });
+  await settle();
+
+  assert.deepStrictEqual((await storage.keys()).sort(), ["http://x||ka", "http://x||kb"]);
+  gbA.destroy();
+  gbB.destroy();
+});
+
+test("a copy with a warm shared storage does not fetch", async () => {
+  const storage = createMemoryStorage();
+  const a = setup(storage, { flag: { defaultValue: "a" } });
+  const gbA = new a.sdk.GrowthBook({ apiHost: "http://x", clientKey: "ka" });
+  await gbA.loadFeatures();
+  await settle();
+
+  const b = setup(storage, { flag: { defaultValue: "b" } });
+  const gbB = new b.sdk.GrowthBook({ apiHost: "http://x", clientKey: "ka" });
+  await gbB.loadFeatures();
+  assert.strictEqual(gbB.getFeatureValue("flag", null), "a");
+  assert.strictEqual(b.requests(), 0);
+  gbA.destroy();
+  gbB.destroy();
+});
+
+test("only evicted and cleared entries are removed from the storage", async () => {
+  const storage = createMemoryStorage();
+  await storage.set("http://x||other", {
+    data: { features: {} },
+    version: "",
+    staleAt: new Date(Date.now() + 60000).toISOString(),
+    sse: false,
+    etag: ""
+  });
+  const a = setup(storage, {});
+  a.sdk.configureCache({ maxEntries: 2 });
+  for (const key of ["k1", "k2"]) {
+    const gb = new a.sdk.GrowthBook({ apiHost: "http://x", clientKey: key });
+    await gb.loadFeatures();
+    gb.destroy();
+  }
+  await settle();
+  // "other" was the oldest entry and got evicted by the maxEntries limit
+  assert.deepStrictEqual((await storage.keys()).sort(), ["http://x||k1", "http://x||k2"]);
+
+  await storage.set("http://x||foreign", { data: {}, version: "", staleAt: new Date().toISOString() });
+  await a.sdk.clearCache();
+  assert.deepStrictEqual(await storage.keys(), ["http://x||foreign"]);
+});
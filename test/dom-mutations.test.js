@@ -0,0 +1,111 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const { JSDOM } = require("jsdom");
+
+const source = fs.readFileSync(path.join(__dirname, "..", "b_files", "index.js"), "utf8");
+
+// Run the bundle in a page and apply `domMutations` through an auto experiment
+function setup(body, domMutations) {
+  const dom = new JSDOM("<!DOCTYPE html><html><head></head><body>" + body + "</body></html>", {
+    url: "https://example.com/",
+    runScripts: "outside-only",
+    pretendToBeVisual: true
+  });
+  const window = dom.window;
+  window.eval(source);
+  const gb = new window.growthbook.GrowthBook({
+    attributes: { id: "1" },
+    experiments: [{ key: "exp", variations: [{}, { domMutations }], weights: [0, 1] }]
+  });
+  const frame = () => new Promise(resolve => window.requestAnimationFrame(() => setTimeout(resolve)));
+  return {
+    window,
+    body: () => window.document.body.innerHTML,
+    applied: frame,
+    revert: async () => {
+      gb.destroy();
+      await frame();
+    },
+    close: () => window.close()
+  };
+}
+
+async function check(body, domMutations, expected) {
+  const page = setup(body, domMutations);
+  await page.applied();
+  assert.strictEqual(page.body(), expected);
+  await page.revert();
+  assert.strictEqual(page.body(), body);
+  page.close();
+}
+
+test("text sets and appends text content", async () => {
+  await check("<h1>Hello <b>there</b></h1>", [{ selector: "h1", action: "set", attribute: "text", value: "<i>Hi</i>" }], "<h1>&lt;i&gt;Hi&lt;/i&gt;</h1>");
+  await check("<h1>Hello</h1>", [{ selector: "h1", action: "append", attribute: "text", value: " world" }], "<h1>Hello world</h1>");
+});
+
+test("style sets and removes a single property", async () => {
+  await check(
+    '<p style="margin: 1px; color: blue;">x</p>',
+    [{ selector: "p", action: "set", attribute: "style", property: "color", value: "red" }],
+    '<p style="margin: 1px; color: red;">x</p>'
+  );
+  await check('<p style="margin: 1px; color: blue;">x</p>', [{ selector: "p", action: "remove", attribute: "style", property: "color" }], '<p style="margin: 1px;">x</p>');
+});
+
+test("style keeps !important", async () => {
+  const page = setup('<p style="color: blue;">x</p>', [{ selector: "p", action: "set", attribute: "style", property: "color", value: "red !important" }]);
+  await page.applied();
+  const style = page.window.document.querySelector("p").style;
+  assert.strictEqual(style.getPropertyValue("color"), "red");
+  assert.strictEqual(style.getPropertyPriority("color"), "important");
+  await page.revert();
+  assert.strictEqual(style.getPropertyValue("color"), "blue");
+  assert.strictEqual(style.getPropertyPriority("color"), "");
+  page.close();
+});
+
+test("style goes through the CSSOM, never the style attribute", async () => {
+  const page = setup('<p style="margin: 1px;">x</p>', [{ selector: "p", action: "set", attribute: "style", property: "color", value: "red" }]);
+  const calls = [];
+  const setAttribute = page.window.Element.prototype.setAttribute;
+  page.window.Element.prototype.setAttribute = function (name, value) {
+    if (name === "style") calls.push(value);
+    return setAttribute.call(this, name, value);
+  };
+  await page.applied();
+  assert.strictEqual(page.window.document.querySelector("p").style.color, "red");
+  await page.revert();
+  assert.strictEqual(page.window.document.querySelector("p").style.color, "");
+  assert.deepStrictEqual(calls, []);
+  page.close();
+});
+
+test("insert places the element at each position", async () => {
+  const body = "<div><p>p1<b>b</b></p>t</div>";
+  const insert = insertPosition => [{ selector: "p", action: "insert", attribute: "element", value: "<em>n</em>", insertPosition }];
+  await check(body, insert("beforebegin"), "<div><em>n</em><p>p1<b>b</b></p>t</div>");
+  await check(body, insert("afterbegin"), "<div><p><em>n</em>p1<b>b</b></p>t</div>");
+  await check(body, insert("beforeend"), "<div><p>p1<b>b</b><em>n</em></p>t</div>");
+  await check(body, insert("afterend"), "<div><p>p1<b>b</b></p><em>n</em>t</div>");
+});
+
+test("remove detaches the element", async () => {
+  await check("<div><p>a</p>t<p id=\"b\">b</p></div>", [{ selector: "#b", action: "remove", attribute: "element" }], "<div><p>a</p>t</div>");
+  await check("<div><p id=\"a\">a</p>t<p>b</p></div>", [{ selector: "#a", action: "remove", attribute: "element" }], "<div>t<p>b</p></div>");
+});
+
+test("wrap moves the element into a new parent", async () => {
+  await check("<div>a<p>p</p>b</div>", [{ selector: "p", action: "wrap", attribute: "element", value: '<section class="w"></section>' }], '<div>a<section class="w"><p>p</p></section>b</div>');
+});
+
+test("insert afterend stays after a wrapped element", async () => {
+  const body = "<div><p>p</p>t<i>i</i></div>";
+  const expected = "<div><section><p>p</p></section><em>n</em>t<i>i</i></div>";
+  const insert = { selector: "p", action: "insert", attribute: "element", value: "<em>n</em>", insertPosition: "afterend" };
+  const wrap = { selector: "p", action: "wrap", attribute: "element", value: "<section></section>" };
+  await check(body, [insert, wrap], expected);
+  await check(body, [wrap, insert], expected);
+});
@@ -0,0 +1,133 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadGrowthBook } = require("./growthbook");
+
+const features = { flag: { defaultValue: "on" } };
+
+// Each request takes the next entry of `responses`: a status, a status with headers, or an Error
+function setup(responses, fetchSettings) {
+  const sdk = loadGrowthBook();
+  const requests = [];
+  sdk.setPolyfills({
+    fetch: async () => {
+      requests.push(Date.now());
+      let response = responses.length > 1 ? responses.shift() : responses[0];
+      if (response instanceof Error) throw response;
+      if (typeof response === "number") response = { status: response };
+      const headers = response.headers || {};
+      return {
+        ok: response.status < 400,
+        status: response.status,
+        headers: { get: name => headers[name.toLowerCase()] || null },
+        json: async () => {
+          if (response.body === undefined) return { features };
+          return JSON.parse(response.body);
+        }
+      };
+    },
+    localStorage: undefined,
+    EventSource: undefined
+  });
+  sdk.configureCache({ storage: sdk.createMemoryStorage(), backgroundSync: false });
+  sdk.configureFetch({ retryDelay: 1, ...fetchSettings });
+  const gb = new sdk.GrowthBook({ apiHost: "http://x", clientKey: "k" });
+  return { sdk, gb, requests };
+}
+
+const fetchError = (sdk, code, status) => e => {
+  assert.ok(e instanceof sdk.FeatureFetchError);
+  assert.strictEqual(e.code, code);
+  if (status) assert.strictEqual(e.status, status);
+  return true;
+};
+
+test("retries 5xx and 429 responses", async () => {
+  const { gb, requests } = setup([503, 429, 500, 200]);
+  await gb.loadFeatures();
+  assert.strictEqual(requests.length, 4);
+  assert.strictEqual(gb.getFeatureValue("flag", null), "on");
+  gb.destroy();
+});
+
+test("retries network errors until maxRetries", async () => {
+  const { sdk, gb, requests } = setup([new TypeError("Failed to fetch")], { maxRetries: 2 });
+  await assert.rejects(gb.loadFeatures(), fetchError(sdk, "network_error"));
+  assert.strictEqual(requests.length, 3);
+  gb.destroy();
+});
+
+test("does not retry other 4xx responses", async () => {
+  const { sdk, gb, requests } = setup([404, 200]);
+  await assert.rejects(gb.loadFeatures(), fetchError(sdk, "http_error", 404));
+  assert.strictEqual(requests.length, 1);
+  gb.destroy();
+});
+
+test("surfaces invalid payloads", async () => {
+  const { sdk, gb } = setup([{ status: 200, body: "<html>" }]);
+  await assert.rejects(gb.loadFeatures(), fetchError(sdk, "invalid_response", 200));
+  gb.destroy();
+});
+
+test("waits for Retry-After before retrying", async () => {
+  const { gb, requests } = setup([{ status: 429, headers: { "retry-after": "1" } }, 200], { retryDelay: 5000 });
+  await gb.loadFeatures();
+  assert.strictEqual(requests.length, 2);
+  assert.ok(requests[1] - requests[0] >= 950, "retried after " + (requests[1] - requests[0]) + "ms");
+  gb.destroy();
+});
+
+test("gives up when Retry-After is longer than maxRetryDelay", async () => {
+  const { sdk, gb, requests } = setup([{ status: 503, headers: { "retry-after": "120" } }, 200], { maxRetryDelay: 1000 });
+  await assert.rejects(gb.loadFeatures(), e => {
+    fetchError(sdk, "http_error", 503)(e);
+    assert.strictEqual(e.retryAfter, 120000);
+    return true;
+  });
+  assert.strictEqual(requests.length, 1);
+  gb.destroy();
+});
+
+test("opens the circuit after repeated failures and serves the cached payload", async () => {
+  const responses = [200];
+  const { gb, requests } = setup(responses, { maxRetries: 0, circuitBreakerThreshold: 2 });
+  await gb.loadFeatures();
+  responses[0] = 500;
+
+  // Failed refreshes fall back to the cached payload
+  await gb.refreshFeatures({ skipCache: true });
+  await gb.refreshFeatures({ skipCache: true });
+  assert.strictEqual(requests.length, 3);
+
+  // The circuit is open: no request is made
+  await gb.refreshFeatures({ skipCache: true });
+  assert.strictEqual(requests.length, 3);
+  assert.strictEqual(gb.getFeatureValue("flag", null), "on");
+  gb.destroy();
+});
+
+test("rejects with circuit_open while the circuit is open and nothing is cached", async () => {
+  const { sdk, gb, requests } = setup([500], { maxRetries: 0, circuitBreakerThreshold: 2 });
+  await assert.rejects(gb.loadFeatures(), fetchError(sdk, "http_error", 500));
+  await assert.rejects(gb.refreshFeatures(), fetchError(sdk, "http_error", 500));
+  await assert.rejects(gb.refreshFeatures(), e => {
+    fetchError(sdk, "circuit_open")(e);
+    assert.ok(e.retryAfter > 0 && e.retryAfter <= 60000);
+    return true;
+  });
+  assert.strictEqual(requests.length, 2);
+  gb.destroy();
+});
+
+test("closes the circuit after the cooldown", async () => {
+  const responses = [500];
+  const { sdk, gb, requests } = setup(responses, { maxRetries: 0, circuitBreakerThreshold: 1, circuitBreakerCooldown: 50 });
+  await assert.rejects(gb.loadFeatures(), fetchError(sdk, "http_error", 500));
+  await assert.rejects(gb.refreshFeatures(), fetchError(sdk, "circuit_open"));
+  responses[0] = 200;
+  await new Promise(resolve => setTimeout(resolve, 60));
+  await gb.refreshFeatures();
+  assert.strictEqual(requests.length, 2);
+  assert.strictEqual(gb.getFeatureValue("flag", null), "on");
+  gb.destroy();
+});
@@ -0,0 +1,13 @@
+// Load the browser bundle in Node, the same way the page gets `window.growthbook`
+const fs = require("fs");
+const path = require("path");
+
+const source = fs.readFileSync(path.join(__dirname, "..", "b_files", "index.js"), "utf8");
+
+// Every call returns a separate copy, with its own module state (like another process)
+function loadGrowthBook() {
+  return new Function("require", source + ";return growthbook;")(require);
+}
+
+module.exports = loadGrowthBook();
+module.exports.loadGrowthBook = loadGrowthBook;
@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { GrowthBook, createServerEvaluator, serializeHydrationPayload } = require("./growthbook");
+
+const features = {
+  headline: {
+    defaultValue: "control",
+    rules: [
+      {
+        key: "headline-test",
+        variations: ["control", "short", "long"],
+        weights: [0, 0, 1]
+      }
+    ]
+  }
+};
+
+function render(id) {
+  const server = createServerEvaluator({ features });
+  const gb = server.createInstance({ attributes: { id } });
+  const value = gb.getFeatureValue("headline", null);
+  const payload = JSON.parse(serializeHydrationPayload(gb));
+  server.destroy();
+  return { value, payload };
+}
+
+test("the hydration payload carries the server assignments", () => {
+  const { value, payload } = render("user-1");
+  assert.strictEqual(value, "long");
+  assert.deepStrictEqual(payload.assignments, { "headline-test": 2 });
+  assert.deepStrictEqual(payload.attributes, { id: "user-1" });
+});
+
+test("the client renders the server variations from the payload", () => {
+  const { value, payload } = render("user-1");
+  // Without a hash attribute the client would not be in the experiment
+  const client = new GrowthBook({ ...payload, attributes: {} });
+  assert.strictEqual(client.getFeatureValue("headline", null), value);
+  assert.deepStrictEqual(client.getForcedVariations(), { "headline-test": 2 });
+  client.destroy();
+
+  const unhydrated = new GrowthBook({ features: payload.features, attributes: {} });
+  assert.strictEqual(unhydrated.getFeatureValue("headline", null), "control");
+  unhydrated.destroy();
+});
+
+test("explicit forcedVariations win over hydrated assignments", () => {
+  const { payload } = render("user-1");
+  const client = new GrowthBook({ ...payload, forcedVariations: { "headline-test": 1 } });
+  assert.strictEqual(client.getFeatureValue("headline", null), "short");
+  client.destroy();
+});
+
+test("assignments are not inherited by child instances", () => {
+  const { payload } = render("user-1");
+  const root = new GrowthBook({ ...payload, attributes: {} });
+  const child = root.createChild({ attributes: {} });
+  assert.strictEqual(child.getFeatureValue("headline", null), "control");
+  child.destroy();
+  root.destroy();
+});
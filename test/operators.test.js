@@ -0,0 +1,121 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { GrowthBook } = require("./growthbook");
+
+// Evaluate `condition` against `attributes` through a force rule
+function matches(condition, attributes) {
+  const gb = new GrowthBook({
+    attributes,
+    features: {
+      feature: {
+        defaultValue: false,
+        rules: [{ condition, force: true }]
+      }
+    }
+  });
+  return gb.isOn("feature");
+}
+
+const DAY = 86400000;
+
+test("$before and $after compare ISO dates", () => {
+  const attributes = { signup: "2024-03-15T12:00:00Z" };
+  assert.strictEqual(matches({ signup: { $before: "2024-04-01" } }, attributes), true);
+  assert.strictEqual(matches({ signup: { $before: "2024-03-01" } }, attributes), false);
+  assert.strictEqual(matches({ signup: { $after: "2024-03-01" } }, attributes), true);
+  assert.strictEqual(matches({ signup: { $after: "2024-04-01" } }, attributes), false);
+  assert.strictEqual(matches({ signup: { $after: "2024-03-01", $before: "2024-04-01" } }, attributes), true);
+});
+
+test("$before and $after accept timestamps and relative dates", () => {
+  const attributes = {
+    lastSeen: new Date(Date.now() - 3 * DAY).toISOString(),
+    expires: Date.now() + 2 * 3600000
+  };
+  assert.strictEqual(matches({ lastSeen: { $after: "now-7d" } }, attributes), true);
+  assert.strictEqual(matches({ lastSeen: { $after: "now-1d" } }, attributes), false);
+  assert.strictEqual(matches({ lastSeen: { $before: "now" } }, attributes), true);
+  assert.strictEqual(matches({ lastSeen: { $before: "now - 1w" } }, attributes), false);
+  assert.strictEqual(matches({ expires: { $after: "now+1h" } }, attributes), true);
+  assert.strictEqual(matches({ expires: { $before: "NOW+3H" } }, attributes), true);
+  assert.strictEqual(matches({ expires: { $after: "now+3h" } }, attributes), false);
+});
+
+test("$before and $after never match invalid or missing dates", () => {
+  assert.strictEqual(matches({ signup: { $before: "2024-01-01" } }, { signup: "not a date" }), false);
+  assert.strictEqual(matches({ signup: { $after: "not a date" } }, { signup: "2024-01-01" }), false);
+  assert.strictEqual(matches({ signup: { $after: "2000-01-01" } }, {}), false);
+  assert.strictEqual(matches({ signup: { $before: "now" } }, { signup: true }), false);
+});
+
+test("$vrange supports caret and tilde ranges", () => {
+  const inRange = (version, range) => matches({ version: { $vrange: range } }, { version });
+  assert.strictEqual(inRange("1.2.3", "^1.2"), true);
+  assert.strictEqual(inRange("1.9.0", "^1.2"), true);
+  assert.strictEqual(inRange("2.0.0", "^1.2"), false);
+  assert.strictEqual(inRange("1.1.9", "^1.2"), false);
+  assert.strictEqual(inRange("0.2.5", "^0.2.3"), true);
+  assert.strictEqual(inRange("0.3.0", "^0.2.3"), false);
+  assert.strictEqual(inRange("1.2.9", "~1.2.3"), true);
+  assert.strictEqual(inRange("1.3.0", "~1.2.3"), false);
+  assert.strictEqual(inRange("1.9.0", "~1"), true);
+  assert.strictEqual(inRange("2.0.0", "~1"), false);
+});
+
+test("$vrange supports x ranges", () => {
+  const inRange = (version, range) => matches({ version: { $vrange: range } }, { version });
+  assert.strictEqual(inRange("1.4.7", "1.x"), true);
+  assert.strictEqual(inRange("2.0.0", "1.x"), false);
+  assert.strictEqual(inRange("1.2.0", "1.2.*"), true);
+  assert.strictEqual(inRange("1.3.0", "1.2.X"), false);
+  assert.strictEqual(inRange("9.9.9", "*"), true);
+  assert.strictEqual(inRange("3.0.0", ">2.x"), true);
+  assert.strictEqual(inRange("2.9.9", ">2.x"), false);
+});
+
+test("$vrange supports comparator sets, hyphen ranges and ||", () => {
+  const inRange = (version, range) => matches({ version: { $vrange: range } }, { version });
+  assert.strictEqual(inRange("1.5.0", ">=1.0 <2.0"), true);
+  assert.strictEqual(inRange("2.0.0", ">=1.0 <2.0"), false);
+  assert.strictEqual(inRange("1.5.0", ">= 1.0 < 2.0"), true);
+  assert.strictEqual(inRange("1.0.0", "1.0 - 2.0"), true);
+  assert.strictEqual(inRange("2.0.0", "1.0 - 2.0"), true);
+  assert.strictEqual(inRange("2.0.1", "1.0 - 2.0"), true);
+  assert.strictEqual(inRange("2.1.0", "1.0 - 2.0"), false);
+  assert.strictEqual(inRange("2.0.1", "1.0.0 - 2.0.0"), false);
+  assert.strictEqual(inRange("1.3.0", "1.x || >=3.0.0"), true);
+  assert.strictEqual(inRange("3.1.0", "1.x || >=3.0.0"), true);
+  assert.strictEqual(inRange("2.5.0", "1.x || >=3.0.0"), false);
+  assert.strictEqual(inRange("v1.2.3", "=1.2.3"), true);
+  assert.strictEqual(inRange("1.2.3", 1), false);
+});
+
+test("$vrange orders prereleases before releases", () => {
+  const inRange = (version, range) => matches({ version: { $vrange: range } }, { version });
+  assert.strictEqual(inRange("2.0.0-beta.1", "^1.2"), false);
+  assert.strictEqual(inRange("1.2.0-beta.1", ">=1.2.0"), false);
+  assert.strictEqual(inRange("1.2.0-beta.2", ">=1.2.0-beta.1"), true);
+});
+
+test("$attr compares against another attribute", () => {
+  const attributes = {
+    plan: "pro",
+    requiredPlan: "pro",
+    seats: 5,
+    account: { limit: 10, createdAt: "2024-01-10" },
+    lastSeen: "2024-02-01"
+  };
+  assert.strictEqual(matches({ plan: { $attr: "requiredPlan" } }, attributes), true);
+  assert.strictEqual(matches({ plan: { $ne: { $attr: "requiredPlan" } } }, attributes), false);
+  assert.strictEqual(matches({ seats: { $lt: { $attr: "account.limit" } } }, attributes), true);
+  assert.strictEqual(matches({ seats: { $gt: { $attr: "account.limit" } } }, attributes), false);
+  assert.strictEqual(matches({ lastSeen: { $after: { $attr: "account.createdAt" } } }, attributes), true);
+  assert.strictEqual(matches({ lastSeen: { $before: { $attr: "account.createdAt" } } }, attributes), false);
+});
+
+test("$attr references to missing attributes resolve to null", () => {
+  const attributes = { plan: "pro" };
+  assert.strictEqual(matches({ plan: { $attr: "missing" } }, attributes), false);
+  assert.strictEqual(matches({ plan: { $ne: { $attr: "missing" } } }, attributes), true);
+  assert.strictEqual(matches({ plan: { $in: { $attr: "missing" } } }, attributes), false);
+});
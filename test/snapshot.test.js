@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { GrowthBook, setPolyfills, clearCache, configureCache, createMemoryStorage } = require("./growthbook");
+
+function response(status, body) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: () => null },
+    json: async () => body
+  };
+}
+
+test.beforeEach(async () => {
+  configureCache({ storage: createMemoryStorage(), backgroundSync: false });
+  await clearCache();
+});
+
+test("a snapshot object is used without any request", async () => {
+  let requests = 0;
+  setPolyfills({ fetch: async () => (requests++, response(200, {})) });
+  const gb = new GrowthBook({
+    clientKey: "sdk-abc",
+    snapshot: { features: { flag: { defaultValue: "snapshot" } } }
+  });
+  await gb.loadFeatures();
+  assert.strictEqual(gb.getFeatureValue("flag", null), "snapshot");
+  assert.strictEqual(requests, 0);
+  gb.destroy();
+});
+
+test("a snapshot that is not an http(s) URL falls back to the API", async () => {
+  const urls = [];
+  setPolyfills({
+    fetch: async url => {
+      urls.push(url);
+      return response(200, { features: { flag: { defaultValue: "api" } } });
+    }
+  });
+  const gb = new GrowthBook({
+    apiHost: "https://cdn.example.com",
+    clientKey: "sdk-abc",
+    snapshot: "file:///mirror/gb-snapshot.json"
+  });
+  await gb.loadFeatures();
+  assert.strictEqual(gb.getFeatureValue("flag", null), "api");
+  assert.deepStrictEqual(urls, ["https://cdn.example.com/api/features/sdk-abc"]);
+  gb.destroy();
+});
+
+test("a missing snapshot falls back to the API", async () => {
+  setPolyfills({
+    fetch: async url => url.indexOf("missing") >= 0 ? response(404, null) : response(200, { features: { flag: { defaultValue: "api" } } })
+  });
+  const gb = new GrowthBook({
+    apiHost: "https://cdn.example.com",
+    clientKey: "sdk-abc",
+    snapshot: "https://mirror.example.com/missing.json"
+  });
+  await gb.loadFeatures();
+  assert.strictEqual(gb.getFeatureValue("flag", null), "api");
+  gb.destroy();
+});
+
+test("without a clientKey a failed snapshot request surfaces the status", async () => {
+  setPolyfills({ fetch: async () => response(404, null) });
+  const gb = new GrowthBook({ snapshot: "https://mirror.example.com/gone.json" });
+  await assert.rejects(gb.loadFeatures(), {
+    name: "FeatureFetchError",
+    code: "http_error",
+    status: 404
+  });
+  gb.destroy();
+});
@@ -0,0 +1,120 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadGrowthBook } = require("./growthbook");
+
+// Local stand-in for a WebSocket server connection
+class FakeWebSocket {
+  constructor(url) {
+    this.url = url;
+    this.sent = [];
+    this.closed = false;
+    FakeWebSocket.sockets.push(this);
+  }
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+  close() {
+    this.closed = true;
+  }
+  open() {
+    this.onopen && this.onopen();
+  }
+  receive(message) {
+    this.onmessage && this.onmessage({ data: JSON.stringify(message) });
+  }
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function setup(heartbeatInterval) {
+  FakeWebSocket.sockets = [];
+  const sdk = loadGrowthBook();
+  const payloads = [{ features: { flag: { defaultValue: "v1" } } }];
+  let requests = 0;
+  sdk.setPolyfills({
+    fetch: async () => {
+      const payload = payloads[Math.min(requests++, payloads.length - 1)];
+      return {
+        ok: true,
+        status: 200,
+        headers: { get: () => null },
+        json: async () => payload
+      };
+    },
+    WebSocket: FakeWebSocket,
+    EventSource: undefined,
+    localStorage: undefined
+  });
+  sdk.configureCache({
+    storage: sdk.createMemoryStorage(),
+    streamingTransport: "websocket",
+    heartbeatInterval
+  });
+  const gb = new sdk.GrowthBook({ apiHost: "http://api.test", clientKey: "sdk-abc", subscribeToChanges: true });
+  await gb.loadFeatures();
+  return { sdk, gb, payloads, requests: () => requests };
+}
+
+test("subscribes to the client key once the socket is open", async () => {
+  const { sdk, gb } = await setup(1000);
+  assert.strictEqual(FakeWebSocket.sockets.length, 1);
+  const ws = FakeWebSocket.sockets[0];
+  assert.strictEqual(ws.url, "ws://api.test/sub/sdk-abc");
+  assert.deepStrictEqual(ws.sent, []);
+  ws.open();
+  assert.deepStrictEqual(ws.sent, [{ type: "subscribe", clientKey: "sdk-abc" }]);
+  gb.destroy();
+  await sdk.clearCache();
+  assert.strictEqual(ws.closed, true);
+});
+
+test("features messages update the instance", async () => {
+  const { sdk, gb } = await setup(1000);
+  const ws = FakeWebSocket.sockets[0];
+  ws.open();
+  assert.strictEqual(gb.getFeatureValue("flag", null), "v1");
+  ws.receive({ type: "features", data: { features: { flag: { defaultValue: "v2" } }, dateUpdated: "2024-01-02" } });
+  await wait(10);
+  assert.strictEqual(gb.getFeatureValue("flag", null), "v2");
+  gb.destroy();
+  await sdk.clearCache();
+});
+
+test("features-updated messages refetch the features", async () => {
+  const { sdk, gb, payloads, requests } = await setup(1000);
+  const ws = FakeWebSocket.sockets[0];
+  ws.open();
+  payloads.push({ features: { flag: { defaultValue: "v3" } }, dateUpdated: "2024-01-03" });
+  const before = requests();
+  ws.receive({ type: "features-updated" });
+  await wait(10);
+  assert.strictEqual(requests(), before + 1);
+  assert.strictEqual(gb.getFeatureValue("flag", null), "v3");
+  gb.destroy();
+  await sdk.clearCache();
+});
+
+test("pings while alive, reconnects and resubscribes after a silent heartbeat", async () => {
+  const { sdk, gb } = await setup(20);
+  const ws = FakeWebSocket.sockets[0];
+  ws.open();
+  await wait(30);
+  assert.deepStrictEqual(ws.sent.slice(0, 2), [{ type: "subscribe", clientKey: "sdk-abc" }, { type: "ping" }]);
+  ws.receive({ type: "pong" });
+
+  // No message for two intervals: the socket is closed and a new one is opened after a backoff
+  await wait(60);
+  assert.strictEqual(ws.closed, true);
+  for (let i = 0; i < 50 && FakeWebSocket.sockets.length < 2; i++) await wait(10);
+  assert.strictEqual(FakeWebSocket.sockets.length, 2);
+  const next = FakeWebSocket.sockets[1];
+  assert.strictEqual(next.url, "ws://api.test/sub/sdk-abc");
+  next.open();
+  assert.deepStrictEqual(next.sent[0], { type: "subscribe", clientKey: "sdk-abc" });
+
+  next.receive({ type: "features", data: { features: { flag: { defaultValue: "v4" } }, dateUpdated: "2024-01-04" } });
+  await wait(10);
+  assert.strictEqual(gb.getFeatureValue("flag", null), "v4");
+  gb.destroy();
+  await sdk.clearCache();
+});